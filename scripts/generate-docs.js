@@ -207,7 +207,7 @@ function generateBiomeCard(biomeId, biome) {
 
 // Generate all biome cards (excluding ocean for the main grid)
 function generateBiomeCards() {
-    const landBiomes = ['meadow', 'forest', 'wetland', 'beach', 'farmland', 'village', 'orchard', 'hills'];
+    const landBiomes = ['meadow', 'forest', 'wetland', 'beach', 'farmland', 'village', 'orchard', 'hills', 'river', 'lake', 'road'];
     return landBiomes.map(biomeId => generateBiomeCard(biomeId, BIOMES[biomeId])).join('\n');
 }
 
@@ -536,6 +536,8 @@ function generateHTML() {
         }
 
         .tag-ocean { background: rgb(55, 115, 160); }
+        .tag-shallows { background: rgb(70, 130, 170); }
+        .tag-channel { background: rgb(75, 140, 175); }
         .tag-meadow { background: rgb(145, 190, 125); }
         .tag-forest { background: rgb(75, 115, 75); }
         .tag-wetland { background: rgb(110, 155, 150); }
@@ -544,6 +546,9 @@ function generateHTML() {
         .tag-village { background: rgb(175, 165, 145); color: #333 !important; }
         .tag-orchard { background: rgb(135, 165, 115); }
         .tag-hills { background: rgb(150, 160, 135); }
+        .tag-river { background: rgb(85, 145, 180); }
+        .tag-lake { background: rgb(75, 135, 175); }
+        .tag-road { background: rgb(170, 150, 115); }
 
         .tag-spring { background: #4a9c4a; }
         .tag-summer { background: #d4a520; }
@@ -754,7 +759,9 @@ function generateHTML() {
                         <tr><td>Down</td><td>Roll backward</td></tr>
                         <tr><td>Left</td><td>Roll left</td></tr>
                         <tr><td>Right</td><td>Roll right</td></tr>
-                        <tr><td>1P START</td><td>Start game / Restart</td></tr>
+                        <tr><td>A (hold, release)</td><td>Charge and dash</td></tr>
+                        <tr><td>B (hold)</td><td>Brake</td></tr>
+                        <tr><td>1P START</td><td>Start game / Pause / Restart</td></tr>
                     </table>
                 </div>
                 <div class="info-box">
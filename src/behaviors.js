@@ -0,0 +1,252 @@
+// Behavior components for living objects
+// Object definitions list their behaviors by id in objects.json ("behaviors": ["wander", "flee"])
+// Each behavior steers: it returns a velocity it would like the object to move at, and GameObject.think() blends
+// them together, eases toward the sum and keeps the object on terrain it can move over
+// Movement behaviors can also decide that terrain (canEnter); objects with none of them stay on land
+// A steer marked override replaces the others for that frame (a bull standing still to wind up a charge)
+// Hostile behaviors attack a ball too small to collect the object; knock is the share of the ball's
+// recent pickups a hit knocks loose (see GameSimulation.knockItemsOff)
+
+import { wrappedDelta } from "./wrapping.js";
+
+// Default walking speed in world units per frame, for definitions without a "speed"
+export const DEFAULT_SPEED = 0.5;
+
+// Wander: drift along a heading that turns a little every frame
+const WANDER_TURN = 0.3; // Largest turn per frame in radians
+
+// Flee: run from a ball that could collect the object once it comes within reach
+// The reach grows with the ball: FLEE_RADIUS plus FLEE_RADIUS_PER_SIZE of its size
+const FLEE_RADIUS = 60;
+const FLEE_RADIUS_PER_SIZE = 2;
+const FLEE_BOOST = 2; // Running is this much faster than walking
+
+// Fastest any object moves, in multiples of its speed (a panicked run)
+export const TOP_SPEED = FLEE_BOOST * 1.5;
+
+// Flock: keep heading the same way as nearby objects of the same kind, near but not on top of them
+const FLOCK_RADIUS = 120;
+const FLOCK_ALIGNMENT = 0.6; // Weight of the flock's average heading
+const FLOCK_COHESION = 0.3; // Weight of the pull toward the flock's middle
+const FLOCK_SEPARATION = 0.8; // Weight of the push away from neighbours closer than FLOCK_SPACING sizes
+const FLOCK_SPACING = 1.5;
+const FLOCK_TURN = 0.06; // Share of the gap to the flock's heading an object turns each frame
+
+// Chase: run at a ball that can't collect the object
+const CHASE_RADIUS = 220;
+const CHASE_BOOST = 2;
+
+// Pinch: lunge at a ball whose edge comes within PINCH_REACH
+const PINCH_REACH = 25;
+const PINCH_BOOST = 3;
+
+// Charge: stand and wind up, then run straight at where the ball was, then rest (frames for each)
+const CHARGE_RADIUS = 300;
+const CHARGE_WINDUP = 45;
+const CHARGE_TIME = 70;
+const CHARGE_REST = 120;
+const CHARGE_BOOST = 3;
+
+const wander = {
+    steer(obj, context) {
+        obj.heading += (context.rng.next() - 0.5) * 2 * WANDER_TURN;
+        return { x: Math.cos(obj.heading) * obj.speed, y: Math.sin(obj.heading) * obj.speed };
+    },
+};
+
+const flee = {
+    steer(obj, context) {
+        const { player, worldWidth, worldHeight } = context;
+        if (!player.canCollect(obj)) return null;
+
+        const dx = wrappedDelta(player.x, obj.x, worldWidth);
+        const dy = wrappedDelta(player.y, obj.y, worldHeight);
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const reach = FLEE_RADIUS + player.size * FLEE_RADIUS_PER_SIZE;
+        if (dist >= reach || dist < 1) return null;
+
+        // Panic grows as the ball closes in, and the object keeps running the same way afterwards
+        obj.heading = Math.atan2(dy, dx);
+        const panic = 1 - dist / reach;
+        const speed = obj.speed * FLEE_BOOST * (0.5 + panic);
+        return { x: (dx / dist) * speed, y: (dy / dist) * speed };
+    },
+};
+
+const flock = {
+    steer(obj, context) {
+        const { worldWidth, worldHeight } = context;
+        let alignX = 0;
+        let alignY = 0;
+        let centerX = 0;
+        let centerY = 0;
+        let pushX = 0;
+        let pushY = 0;
+        let count = 0;
+
+        for (const other of context.getNeighbors(obj, FLOCK_RADIUS)) {
+            if (other === obj || other.type.emoji !== obj.type.emoji) continue;
+            const dx = wrappedDelta(obj.x, other.x, worldWidth);
+            const dy = wrappedDelta(obj.y, other.y, worldHeight);
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= FLOCK_RADIUS) continue;
+
+            alignX += Math.cos(other.heading);
+            alignY += Math.sin(other.heading);
+            centerX += dx;
+            centerY += dy;
+            if (dist > 0 && dist < (obj.size + other.size) / 2 * FLOCK_SPACING) {
+                pushX -= dx / dist;
+                pushY -= dy / dist;
+            }
+            count++;
+        }
+        if (count === 0) return null;
+
+        // Turn partway toward the flock's heading, so wandering follows the group
+        const alignHeading = Math.atan2(alignY, alignX);
+        const turn = Math.atan2(Math.sin(alignHeading - obj.heading), Math.cos(alignHeading - obj.heading));
+        obj.heading += turn * FLOCK_TURN;
+
+        const centerDist = Math.hypot(centerX, centerY) || 1;
+        return {
+            x: (Math.cos(alignHeading) * FLOCK_ALIGNMENT + (centerX / centerDist) * FLOCK_COHESION + pushX * FLOCK_SEPARATION) * obj.speed,
+            y: (Math.sin(alignHeading) * FLOCK_ALIGNMENT + (centerY / centerDist) * FLOCK_COHESION + pushY * FLOCK_SEPARATION) * obj.speed,
+        };
+    },
+};
+
+// Direction and distance from an object to the ball
+function toPlayer(obj, context) {
+    const { player, worldWidth, worldHeight } = context;
+    const dx = wrappedDelta(obj.x, player.x, worldWidth);
+    const dy = wrappedDelta(obj.y, player.y, worldHeight);
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    return { x: dx / dist, y: dy / dist, dist };
+}
+
+// Whether a hostile object is free to attack the ball right now
+function canAttack(obj, context) {
+    return obj.attackCooldown === 0 && !context.player.canCollect(obj);
+}
+
+const chase = {
+    knock: 0.15,
+    steer(obj, context) {
+        if (!canAttack(obj, context)) return null;
+        const toward = toPlayer(obj, context);
+        if (toward.dist >= CHASE_RADIUS) return null;
+
+        obj.heading = Math.atan2(toward.y, toward.x);
+        const speed = obj.speed * CHASE_BOOST;
+        return { x: toward.x * speed, y: toward.y * speed };
+    },
+};
+
+const pinch = {
+    knock: 0.1,
+    steer(obj, context) {
+        if (!canAttack(obj, context)) return null;
+        const toward = toPlayer(obj, context);
+        if (toward.dist - obj.radius - context.player.radius >= PINCH_REACH) return null;
+
+        const speed = obj.speed * PINCH_BOOST;
+        return { x: toward.x * speed, y: toward.y * speed, override: true };
+    },
+};
+
+const charge = {
+    knock: 0.3,
+    steer(obj, context) {
+        const state = obj.behaviorState;
+        state.charge ??= { phase: "idle", timer: 0, x: 0, y: 0 };
+        const run = state.charge;
+
+        // A hit ends the charge early
+        if (run.phase === "charging" && obj.attackCooldown > 0) {
+            run.phase = "rest";
+            run.timer = CHARGE_REST;
+        }
+
+        if (run.phase === "idle") {
+            if (!canAttack(obj, context)) return null;
+            const toward = toPlayer(obj, context);
+            if (toward.dist >= CHARGE_RADIUS) return null;
+            run.phase = "windup";
+            run.timer = CHARGE_WINDUP;
+        }
+
+        run.timer--;
+        if (run.phase === "windup") {
+            // Keep facing the ball until the charge starts, then commit to that line
+            const toward = toPlayer(obj, context);
+            run.x = toward.x;
+            run.y = toward.y;
+            if (run.timer <= 0) {
+                run.phase = "charging";
+                run.timer = CHARGE_TIME;
+            }
+            return { x: 0, y: 0, override: true };
+        }
+
+        if (run.phase === "charging") {
+            if (run.timer <= 0) {
+                run.phase = "rest";
+                run.timer = CHARGE_REST;
+            }
+            obj.heading = Math.atan2(run.y, run.x);
+            const speed = obj.speed * CHARGE_BOOST;
+            return { x: run.x * speed, y: run.y * speed, override: true };
+        }
+
+        // Resting: back to wandering
+        if (run.timer <= 0) run.phase = "idle";
+        return null;
+    },
+};
+
+// Fish and boats stay in the water: sea, rivers and lakes
+const swim = {
+    canEnter: biome => Boolean(biome.isWater),
+};
+
+// Frogs, turtles and waders move between the shore and the water
+const amphibious = {
+    canEnter: () => true,
+};
+
+// Birds and other flyers cross any terrain
+const fly = {
+    canEnter: () => true,
+};
+
+const BEHAVIORS = { wander, flee, flock, swim, amphibious, fly, chase, pinch, charge };
+
+// Terrain for objects without swim, amphibious or fly
+const walk = {
+    canEnter: biome => !biome.isWater,
+};
+
+// Behavior components for a list of ids (unknown ids are skipped with a warning)
+export function createBehaviors(ids = []) {
+    const behaviors = [];
+    for (const id of ids) {
+        const behavior = BEHAVIORS[id];
+        if (!behavior) {
+            console.warn(`Unknown behavior: ${id}`);
+            continue;
+        }
+        behaviors.push(behavior);
+    }
+    return behaviors;
+}
+
+// The terrain rule an object moves under: the first behavior that has one, or walking
+export function getTerrainRule(behaviors) {
+    return behaviors.find(behavior => behavior.canEnter) || walk;
+}
+
+// Share of the ball's recent pickups the object's hardest hit knocks loose (0 = harmless)
+export function getKnockShare(behaviors) {
+    return behaviors.reduce((knock, behavior) => Math.max(knock, behavior.knock ?? 0), 0);
+}
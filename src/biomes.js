@@ -3,18 +3,7 @@
 
 import objectsData from "./data/objects.json";
 import biomesData from "./data/biomes.json";
-
-// Note: WORLD dimensions are now defined here to avoid circular imports
-// World uses a circular island with noise-based coastline
-// ~40x larger than original for extended gameplay
-export const WORLD_WIDTH = 336 * 72; // 24192 - total world width (~40x original)
-export const WORLD_HEIGHT = 262 * 72; // 18864 - total world height (~40x original)
-
-// Island parameters for radial generation
-export const WORLD_CENTER_X = WORLD_WIDTH / 2;
-export const WORLD_CENTER_Y = WORLD_HEIGHT / 2;
-export const ISLAND_RADIUS_X = WORLD_WIDTH * 0.35; // Base island radius (horizontal)
-export const ISLAND_RADIUS_Y = WORLD_HEIGHT * 0.35; // Base island radius (vertical)
+import { DEFAULT_WORLD_CONFIG } from "./worldConfig.js";
 
 // Terrain speed multipliers (1.0 = normal speed)
 export const TERRAIN_SPEED = {
@@ -22,13 +11,34 @@ export const TERRAIN_SPEED = {
     beach: 0.75,      // Sand slows you down
     wetland: 0.7,     // Mud and water slow you down
     ocean: 0.4,       // Deep water is very slow
+    channel: 0.45,    // Shallow straits between archipelago islands
+    river: 0.65,      // Wading against the current
+    lake: 0.5,        // Still, deep fresh water
+    road: 1.25,       // Packed roads between villages are faster than the fields
+    ice: 1.0,         // Frozen water: full speed, but see TERRAIN_GRIP
+    mud: 0.6,         // Rain-soaked spring fields
+    snowdrift: 0.5,   // Deep winter snow on the hills
+};
+
+// Grip on slippery terrain (1.0 = normal): scales how hard the ball can push and how quickly it slows down
+const TERRAIN_GRIP = {
+    ice: 0.3,
 };
 
 // Size at which terrain penalties are fully negated
 export const TERRAIN_PENALTY_REDUCTION_SIZE = 200;
 
+// Share of the penalty that size takes away by TERRAIN_PENALTY_REDUCTION_SIZE (default 0.8)
+// Channels are narrow enough that a big ball just rolls across them
+const TERRAIN_PENALTY_REDUCTION = {
+    channel: 1.0,
+    snowdrift: 1.0, // A big ball just packs the snow on
+};
+
 // Object definitions with spawn ranges based on player size
 // minPlayerSize/maxPlayerSize control when objects appear (undefined = always)
+// lightRadius: glow around the object at night, in multiples of its size (undefined = none)
+// behaviors: behavior component ids (see behaviors.js); speed: walking speed in world units per frame
 // Objects can be collected when player is 125% of object size
 
 // Export the objects data for use in other modules
@@ -66,7 +76,9 @@ function buildBiomes() {
 
         // Copy optional properties
         if (biomeData.isOcean) biome.isOcean = true;
+        if (biomeData.isWater) biome.isWater = true; // Level surface: no slope under the ball
         if (biomeData.terrainSpeed) biome.terrainSpeed = biomeData.terrainSpeed;
+        if (biomeData.physics) biome.physics = biomeData.physics; // Per-season overrides, e.g. { winter: { terrainSpeed: "ice" } }
 
         // Convert object IDs to emoji-based format for each season
         for (const season of ["spring", "summer", "fall", "winter"]) {
@@ -87,6 +99,11 @@ function buildBiomes() {
                     spawnPattern: objDef.spawnPattern || "scattered",
                     ...(objEntry.minPlayerSize !== undefined && { minPlayerSize: objEntry.minPlayerSize }),
                     ...(objEntry.maxPlayerSize !== undefined && { maxPlayerSize: objEntry.maxPlayerSize }),
+                    ...(objEntry.weather !== undefined && { weather: objEntry.weather }),
+                    ...(objEntry.time !== undefined && { time: objEntry.time }),
+                    ...(objDef.lightRadius !== undefined && { lightRadius: objDef.lightRadius }),
+                    ...(objDef.behaviors !== undefined && { behaviors: objDef.behaviors }),
+                    ...(objDef.speed !== undefined && { speed: objDef.speed }),
                 };
             }).filter(obj => obj !== null);
         }
@@ -97,7 +114,7 @@ function buildBiomes() {
     return biomes;
 }
 
-// 9 biomes (8 land + ocean)
+// 14 biomes (8 land, rivers and lakes, roads, ocean, coastal shallows and archipelago channels)
 export const BIOMES = buildBiomes();
 
 // Biome list for iteration
@@ -125,33 +142,80 @@ const ANGULAR_ZONE_BIOMES = {
     7: "orchard",   // Orchard zone (northwest)
 };
 
-// Get the normalized distance from center (0 = center, 1 = edge of island)
-export function getDistanceFromCenter(x, y) {
-    const dx = (x - WORLD_CENTER_X) / ISLAND_RADIUS_X;
-    const dy = (y - WORLD_CENTER_Y) / ISLAND_RADIUS_Y;
+// Normalized distance from an ellipse center (1 = on its rim)
+function getEllipseDistance(x, y, centerX, centerY, radiusX, radiusY) {
+    const dx = (x - centerX) / radiusX;
+    const dy = (y - centerY) / radiusY;
     return Math.sqrt(dx * dx + dy * dy);
 }
 
-// Get the angle from center (0-2π, where 0 is east, π/2 is north)
-export function getAngleFromCenter(x, y) {
-    const angle = Math.atan2(WORLD_CENTER_Y - y, x - WORLD_CENTER_X);
+// Archipelago island a position belongs to, and the normalized distance to its center
+function getNearestIsland(x, y, config) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const island of config.islands) {
+        const dist = getEllipseDistance(x, y, island.x, island.y, island.radiusX, island.radiusY);
+        if (dist < nearestDist) {
+            nearest = island;
+            nearestDist = dist;
+        }
+    }
+    return { island: nearest, dist: nearestDist };
+}
+
+// Angle from a point (0-2π, where 0 is east, π/2 is north)
+function getAngleFrom(x, y, centerX, centerY) {
+    const angle = Math.atan2(centerY - y, x - centerX);
     return (angle + Math.PI * 2) % (Math.PI * 2);
 }
 
+// Get the normalized distance from center (0 = center, 1 = edge of island)
+// For shaped worlds this is the distance into the land: 0 in the middle of the landmass, 1 at any shore
+export function getDistanceFromCenter(x, y, config = DEFAULT_WORLD_CONFIG) {
+    if (config.shape === "archipelago") {
+        // Measured to the nearest island
+        return getNearestIsland(x, y, config).dist;
+    }
+
+    const dist = getEllipseDistance(x, y, config.centerX, config.centerY, config.radiusX, config.radiusY);
+
+    if (config.shape === "crescent") {
+        // Inside the bite counts as past the shore, reaching 2 at its center
+        const bite = config.bite;
+        const biteDist = getEllipseDistance(x, y, bite.x, bite.y, bite.radiusX, bite.radiusY);
+        return Math.max(dist, 2 - biteDist);
+    }
+
+    if (config.shape === "atoll") {
+        // 0 along the middle of the ring, 1 at both the lagoon and ocean shores
+        return Math.abs(dist - config.ring.radius) / config.ring.width;
+    }
+
+    return dist;
+}
+
+// Get the angle from center (0-2π, where 0 is east, π/2 is north)
+export function getAngleFromCenter(x, y, config = DEFAULT_WORLD_CONFIG) {
+    return getAngleFrom(x, y, config.centerX, config.centerY);
+}
+
 // Calculate terrain type based on distance from center with noise
 // Returns: "ocean", "beach", "wetland_shore", or "land"
 // noiseValue should be 0-1 from simplex noise
-export function getTerrainType(distFromCenter, noiseValue = 0.5) {
-    // Add noise variation to the coastline (±15% of island radius)
-    const coastlineVariation = (noiseValue - 0.5) * 0.3;
+// The coastline bands come from the world config
+export function getTerrainType(distFromCenter, noiseValue = 0.5, config = DEFAULT_WORLD_CONFIG) {
+    const coast = config.coast;
+
+    // Add noise variation to the coastline (±15% of island radius by default)
+    const coastlineVariation = (noiseValue - 0.5) * coast.variation;
     const adjustedDist = distFromCenter - coastlineVariation;
 
     // Define terrain bands (from center outward)
-    if (adjustedDist < 0.85) {
+    if (adjustedDist < coast.land) {
         return "land";
-    } else if (adjustedDist < 0.95) {
+    } else if (adjustedDist < coast.beach) {
         return "beach"; // Transition zone - beach
-    } else if (adjustedDist < 1.05) {
+    } else if (adjustedDist < coast.shore) {
         return "wetland_shore"; // Wetland/marsh zone near shore
     } else {
         return "ocean";
@@ -159,37 +223,57 @@ export function getTerrainType(distFromCenter, noiseValue = 0.5) {
 }
 
 // Check if a position is in the ocean
-export function isOcean(x, y, noiseValue = 0.5) {
-    const dist = getDistanceFromCenter(x, y);
-    const terrain = getTerrainType(dist, noiseValue);
+export function isOcean(x, y, noiseValue = 0.5, config = DEFAULT_WORLD_CONFIG) {
+    const dist = getDistanceFromCenter(x, y, config);
+    const terrain = getTerrainType(dist, noiseValue, config);
     return terrain === "ocean";
 }
 
 // Check if position is in beach transition zone
-export function isBeach(x, y, noiseValue = 0.5) {
-    const dist = getDistanceFromCenter(x, y);
-    const terrain = getTerrainType(dist, noiseValue);
+export function isBeach(x, y, noiseValue = 0.5, config = DEFAULT_WORLD_CONFIG) {
+    const dist = getDistanceFromCenter(x, y, config);
+    const terrain = getTerrainType(dist, noiseValue, config);
     return terrain === "beach";
 }
 
 // Check if position is in wetland shore zone
-export function isWetlandShore(x, y, noiseValue = 0.5) {
-    const dist = getDistanceFromCenter(x, y);
-    const terrain = getTerrainType(dist, noiseValue);
+export function isWetlandShore(x, y, noiseValue = 0.5, config = DEFAULT_WORLD_CONFIG) {
+    const dist = getDistanceFromCenter(x, y, config);
+    const terrain = getTerrainType(dist, noiseValue, config);
     return terrain === "wetland_shore";
 }
 
 // Get the zone influence for a world position based on angle
-export function getZoneInfluence(x, y) {
-    const angle = getAngleFromCenter(x, y);
+// Archipelago islands each lay the zones out around their own center, rotated and possibly mirrored
+export function getZoneInfluence(x, y, config = DEFAULT_WORLD_CONFIG) {
+    const island = config.shape === "archipelago" ? getNearestIsland(x, y, config).island : null;
+    const angle = island ? getAngleFrom(x, y, island.x, island.y) : getAngleFromCenter(x, y, config);
     // Convert angle to sector (0-7)
-    const sector = Math.floor((angle / (Math.PI * 2)) * 8) % 8;
+    let sector = Math.floor((angle / (Math.PI * 2)) * 8) % 8;
+    if (island) {
+        if (island.zoneMirror) sector = 7 - sector;
+        sector = (sector + island.zoneOffset) % 8;
+    }
     return ANGULAR_ZONE_BIOMES[sector];
 }
 
+// Whether open water lies among the islands of an archipelago rather than out at sea
+// The outer edge of the channels follows the same coastline noise as the shores
+function isArchipelagoChannel(x, y, coastlineNoise, config) {
+    if (config.shape !== "archipelago") return false;
+    const dist = getEllipseDistance(x, y, config.centerX, config.centerY, config.radiusX, config.radiusY);
+    return dist - (coastlineNoise - 0.5) * config.coast.variation < 1;
+}
+
+// Whether open water is still within the shallow band off the shore (same coastline noise as getTerrainType)
+function isShallows(distFromCenter, noiseValue, config) {
+    const coast = config.coast;
+    return distFromCenter - (noiseValue - 0.5) * coast.variation < coast.shallows;
+}
+
 // Get zone influence strength based on distance from center
-export function getZoneStrength(x, y) {
-    const dist = getDistanceFromCenter(x, y);
+export function getZoneStrength(x, y, config = DEFAULT_WORLD_CONFIG) {
+    const dist = getDistanceFromCenter(x, y, config);
 
     // Stronger zone influence near the middle ring of the island
     // Weaker at center (more meadow) and edges (more beach/wetland)
@@ -205,13 +289,15 @@ export function getZoneStrength(x, y) {
 // Determine biome based on noise values, zone influence, and terrain type
 // coastlineNoise should be passed in from the world's noise generator
 // villageNoise is used to place villages as distinct clusters that attract farmland/orchard
-export function selectBiome(elevation, moisture, temperature, zonePreference, zoneStrength, x, y, coastlineNoise = 0.5, villageNoise = 0.5) {
-    const dist = getDistanceFromCenter(x, y);
-    const terrainType = getTerrainType(dist, coastlineNoise);
+// config: world config the island shape comes from
+export function selectBiome(elevation, moisture, temperature, zonePreference, zoneStrength, x, y, coastlineNoise = 0.5, villageNoise = 0.5, config = DEFAULT_WORLD_CONFIG) {
+    const dist = getDistanceFromCenter(x, y, config);
+    const terrainType = getTerrainType(dist, coastlineNoise, config);
 
-    // Ocean biome for deep water
+    // Ocean biome for deep water, or shallow channels between archipelago islands and off the shore
     if (terrainType === "ocean") {
-        return BIOMES.ocean;
+        if (isArchipelagoChannel(x, y, coastlineNoise, config)) return BIOMES.channel;
+        return isShallows(dist, coastlineNoise, config) ? BIOMES.shallows : BIOMES.ocean;
     }
 
     // Beach biome for coastal transition
@@ -292,20 +378,31 @@ export function selectBiome(elevation, moisture, temperature, zonePreference, zo
     return BIOMES.meadow;
 }
 
+// Terrain type of a biome in a season, after its seasonal physics overrides
+export function getBiomeTerrain(biome, season = null) {
+    return biome.physics?.[season]?.terrainSpeed || biome.terrainSpeed || "normal";
+}
+
 // Get terrain speed multiplier for a biome, reduced by player size
-export function getTerrainSpeedMultiplier(biome, playerSize) {
-    const terrainType = biome.terrainSpeed || "normal";
+// Road bonuses fade the same way penalties do, since a big ball hardly notices the surface
+export function getTerrainSpeedMultiplier(biome, playerSize, season = null) {
+    const terrainType = getBiomeTerrain(biome, season);
     const baseSpeed = TERRAIN_SPEED[terrainType] || TERRAIN_SPEED.normal;
 
     // Calculate size-based reduction (larger = less affected by terrain)
     // At size 12 (starting), full penalty. At TERRAIN_PENALTY_REDUCTION_SIZE, no penalty.
     const sizeRatio = Math.min(1, playerSize / TERRAIN_PENALTY_REDUCTION_SIZE);
-    const penaltyReduction = sizeRatio * 0.8; // Max 80% reduction of penalty
+    const penaltyReduction = sizeRatio * (TERRAIN_PENALTY_REDUCTION[terrainType] ?? 0.8); // Max 80% reduction of penalty by default
 
     // Lerp from baseSpeed toward 1.0 based on size
     return baseSpeed + (1.0 - baseSpeed) * penaltyReduction;
 }
 
+// Grip of a biome's surface in a season (1.0 = normal, lower slides)
+export function getTerrainGrip(biome, season = null) {
+    return TERRAIN_GRIP[getBiomeTerrain(biome, season)] ?? 1.0;
+}
+
 // Check if an object should spawn for the current player size
 export function shouldSpawnForPlayerSize(objDef, playerSize) {
     if (objDef.minPlayerSize !== undefined && playerSize < objDef.minPlayerSize) {
@@ -317,6 +414,16 @@ export function shouldSpawnForPlayerSize(objDef, playerSize) {
     return true;
 }
 
+// Check if an object can spawn in the current weather (entries with a weather key only spawn during it)
+export function shouldSpawnInWeather(objDef, weather) {
+    return objDef.weather === undefined || objDef.weather === weather;
+}
+
+// Check if an object can spawn at this time of day ("day" or "night"; entries without a time key spawn at both)
+export function shouldSpawnAtTime(objDef, timeOfDay) {
+    return objDef.time === undefined || objDef.time === timeOfDay;
+}
+
 // Get all unique objects across all biomes and seasons for documentation
 export function getAllObjects() {
     const objectMap = new Map();
@@ -1,7 +1,26 @@
 // Collectible and obstacle objects
 
+import { createBehaviors, getTerrainRule, getKnockShare, DEFAULT_SPEED, TOP_SPEED } from "./behaviors.js";
+
+// How quickly a living object's walk picks up a new steering velocity (share per frame)
+const MOVE_EASE = 0.1;
+
+// Gravity radius scales super-linearly with player size
+// Weaker early game, much stronger past size ~1200
+// At size 12: radius = ~10
+// At size 50: radius = ~54
+// At size 100: radius = ~130
+// At size 200: radius = ~310
+// At size 500: radius = ~1000
+// At size 1200: radius = ~2900
+// At size 2000: radius = ~5700
+export function getGravityRadius(playerSize) {
+    return playerSize * Math.sqrt(playerSize / 12) * 0.6;
+}
+
 export class GameObject {
-    constructor(x, y, size, type, sprite = null) {
+    // rng: seeded random stream for the cosmetic rotation and bobbing (keeps runs reproducible)
+    constructor(x, y, size, type, sprite, rng) {
         this.x = x;
         this.y = y;
         this.size = size;
@@ -14,13 +33,29 @@ export class GameObject {
         this.vx = 0;
         this.vy = 0;
 
+        // Behavior components (see behaviors.js) and the walk they steer, kept apart from the gravity pull
+        this.behaviors = createBehaviors(type.behaviors);
+        this.terrainRule = getTerrainRule(this.behaviors);
+        this.speed = type.speed ?? DEFAULT_SPEED;
+        this.heading = this.behaviors.length > 0 ? rng.next() * Math.PI * 2 : 0;
+        this.moveX = 0;
+        this.moveY = 0;
+        this.behaviorState = {}; // Scratch state for behaviors (e.g. a charge in progress)
+
+        // Hostile objects knock items off the ball, then wait out a cooldown before attacking again
+        this.knock = getKnockShare(this.behaviors);
+        this.attackCooldown = 0;
+
+        // Frames before a knocked-loose item can be pulled in or collected again
+        this.collectDelay = 0;
+
         // Rotation (slower for larger objects)
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.02 * (20 / Math.max(size, 20));
+        this.rotation = rng.next() * Math.PI * 2;
+        this.rotationSpeed = (rng.next() - 0.5) * 0.02 * (20 / Math.max(size, 20));
 
         // Slight bobbing animation (less for larger objects)
-        this.bobOffset = Math.random() * Math.PI * 2;
-        this.bobSpeed = 0.05 + Math.random() * 0.03;
+        this.bobOffset = rng.next() * Math.PI * 2;
+        this.bobSpeed = 0.05 + rng.next() * 0.03;
         this.bobAmount = Math.max(0.5, 2 - size * 0.02);
     }
 
@@ -28,14 +63,69 @@ export class GameObject {
         return this.size / 2;
     }
 
+    // Whether update() will move the object this frame
+    get isMoving() {
+        return this.vx !== 0 || this.vy !== 0 || this.moveX !== 0 || this.moveY !== 0;
+    }
+
+    // Drop the walk (when the object stops thinking), keeping any gravity or wind drift
+    stopWalking() {
+        this.moveX = 0;
+        this.moveY = 0;
+    }
+
+    // Let the behaviors steer the walk, then stop short of terrain the object can't move over
+    // context: { world, player, rng, worldWidth, worldHeight, getNeighbors(obj, radius) }
+    think(context) {
+        if (this.behaviors.length === 0) return;
+
+        let steerX = 0;
+        let steerY = 0;
+        for (const behavior of this.behaviors) {
+            const steer = behavior.steer?.(this, context);
+            if (!steer) continue;
+            if (steer.override) {
+                steerX = steer.x;
+                steerY = steer.y;
+                break;
+            }
+            steerX += steer.x;
+            steerY += steer.y;
+        }
+
+        this.moveX += (steerX - this.moveX) * MOVE_EASE;
+        this.moveY += (steerY - this.moveY) * MOVE_EASE;
+
+        const moveSpeed = Math.sqrt(this.moveX * this.moveX + this.moveY * this.moveY);
+        const topSpeed = this.speed * TOP_SPEED;
+        if (moveSpeed > topSpeed) {
+            this.moveX = (this.moveX / moveSpeed) * topSpeed;
+            this.moveY = (this.moveY / moveSpeed) * topSpeed;
+        } else if (moveSpeed < 0.01) {
+            this.moveX = 0;
+            this.moveY = 0;
+            return;
+        }
+
+        // Turn back at the edge (getBiomeAt wraps the position)
+        const biome = context.world.getBiomeAt(this.x + this.moveX, this.y + this.moveY);
+        if (!this.terrainRule.canEnter(biome)) {
+            this.moveX = 0;
+            this.moveY = 0;
+            this.heading += Math.PI;
+        }
+    }
+
     update(worldWidth = null, worldHeight = null) {
         this.rotation += this.rotationSpeed;
         this.bobOffset += this.bobSpeed;
+        if (this.attackCooldown > 0) this.attackCooldown--;
+        if (this.collectDelay > 0) this.collectDelay--;
 
-        // Apply velocity from gravity
-        if (this.vx !== 0 || this.vy !== 0) {
-            this.x += this.vx;
-            this.y += this.vy;
+        // Apply velocity from gravity plus the object's own walk
+        if (this.isMoving) {
+            this.x += this.vx + this.moveX;
+            this.y += this.vy + this.moveY;
 
             // Wrap coordinates if world dimensions provided
             if (worldWidth && worldHeight) {
@@ -89,16 +179,7 @@ export class GameObject {
         const sizeRatio = this.size / playerSize;
         const attractability = Math.max(0, 1 - sizeRatio * 1.2); // 0 when obj is 83%+ of player
 
-        // Gravity radius scales super-linearly with player size
-        // Weaker early game, much stronger past size ~1200
-        // At size 12: radius = ~10
-        // At size 50: radius = ~54
-        // At size 100: radius = ~130
-        // At size 200: radius = ~310
-        // At size 500: radius = ~1000
-        // At size 1200: radius = ~2900
-        // At size 2000: radius = ~5700
-        const gravityRadius = playerSize * Math.sqrt(playerSize / 12) * 0.6;
+        const gravityRadius = getGravityRadius(playerSize);
         if (dist > gravityRadius) return;
 
         // Distance falloff - much steeper for faster suction when close
@@ -0,0 +1,113 @@
+// Ghost racer - replays the trajectory of the best run so far as a translucent ball
+// Trajectories are sampled every few frames and stored locally per world seed and preset
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { DEFAULT_WORLD_PRESET } from "./worldConfig.js";
+import { REPLAY_VERSION } from "./replay.js";
+
+// Frames between trajectory samples (positions are interpolated in between)
+const GHOST_SAMPLE_INTERVAL = 4;
+
+function ghostKey(seed, worldPreset = DEFAULT_WORLD_PRESET) {
+    return `bestGhost.${worldPreset}.${seed}`;
+}
+
+// Records the player's position and size during a live run
+export class GhostRecorder {
+    constructor(seed, worldPreset = DEFAULT_WORLD_PRESET) {
+        this.seed = seed;
+        this.worldPreset = worldPreset;
+        this.samples = []; // Flat [x, y, size, x, y, size, ...]
+    }
+
+    // frame: simulation frame number (1-based, as after GameSimulation.step())
+    record(frame, player) {
+        if ((frame - 1) % GHOST_SAMPLE_INTERVAL !== 0) return;
+        // Round to keep the stored trajectory compact
+        this.samples.push(
+            Math.round(player.x),
+            Math.round(player.y),
+            Math.round(player.size * 10) / 10
+        );
+    }
+
+    toGhost(finalSize) {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            worldPreset: this.worldPreset,
+            interval: GHOST_SAMPLE_INTERVAL,
+            finalSize,
+            samples: this.samples,
+        };
+    }
+}
+
+// Best stored run for a seed and world, or null if there isn't one yet
+// Ghosts from an older simulation (see REPLAY_VERSION) ran on different rules and are ignored
+export function loadBestGhost(seed, worldPreset = DEFAULT_WORLD_PRESET) {
+    const ghost = loadJSON(ghostKey(seed, worldPreset));
+    if (!ghost || ghost.version !== REPLAY_VERSION) return null;
+    if (!Array.isArray(ghost.samples) || ghost.samples.length < 3) return null;
+    return ghost;
+}
+
+// Store the ghost if it beats the current best for its seed and world
+// Returns true if it became the new best
+export function saveGhostIfBest(ghost) {
+    const best = loadBestGhost(ghost.seed, ghost.worldPreset);
+    if (best && best.finalSize >= ghost.finalSize) return false;
+    return saveJSON(ghostKey(ghost.seed, ghost.worldPreset), ghost);
+}
+
+// Plays back a stored ghost trajectory
+export class Ghost {
+    constructor(data, worldWidth, worldHeight) {
+        this.data = data;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.sampleCount = data.samples.length / 3;
+    }
+
+    // Interpolated { x, y, size } at a simulation frame, or null once the ghost's run has ended
+    getStateAt(frame) {
+        const t = (frame - 1) / this.data.interval;
+        const i = Math.floor(t);
+        if (i < 0 || i >= this.sampleCount) return null;
+
+        const s = this.data.samples;
+        const a = i * 3;
+        if (i === this.sampleCount - 1) {
+            return { x: s[a], y: s[a + 1], size: s[a + 2] };
+        }
+
+        const b = a + 3;
+        const f = t - i;
+
+        // Interpolate along the shortest path so wrapping across world edges stays smooth
+        let dx = s[b] - s[a];
+        let dy = s[b + 1] - s[a + 1];
+        if (Math.abs(dx) > this.worldWidth / 2) dx -= Math.sign(dx) * this.worldWidth;
+        if (Math.abs(dy) > this.worldHeight / 2) dy -= Math.sign(dy) * this.worldHeight;
+
+        return {
+            x: (s[a] + dx * f + this.worldWidth) % this.worldWidth,
+            y: (s[a + 1] + dy * f + this.worldHeight) % this.worldHeight,
+            size: s[a + 2] + (s[b + 2] - s[a + 2]) * f,
+        };
+    }
+
+    // Size of the ghost at a frame (its final size after its run ended)
+    getSizeAt(frame) {
+        const state = this.getStateAt(frame);
+        return state ? state.size : this.data.finalSize;
+    }
+
+    draw(p, renderX, renderY, size) {
+        // Translucent pale ball so it never hides the real one
+        p.stroke(200, 230, 255, 140);
+        p.strokeWeight(Math.max(1, size * 0.03));
+        p.fill(170, 210, 255, 60);
+        p.ellipse(renderX, renderY, size, size);
+    }
+}
@@ -0,0 +1,251 @@
+// Rivers and lakes, traced once per world over a coarse elevation grid
+// Rivers start on high ground and follow the steepest way down until they reach the coast
+// A river that runs into a basin fills it, lowest cell first, until it spills over the rim or the lake is full
+// and overflows at its lowest point
+
+import { SeededRandom, deriveSeed } from "./noise.js";
+
+// Water stored per tile
+export const WATER_NONE = 0;
+export const WATER_RIVER = 1;
+export const WATER_LAKE = 2; // Wins over river where they overlap
+
+// Tiles per side of a tracing cell
+const CELL_TILES = 8;
+
+// Tracing cell kinds, from the terrain type at the cell center
+const CELL_OCEAN = 0;
+const CELL_COAST = 1; // Beach or wetland shore: rivers reach the coast here and stop
+const CELL_LAND = 2;
+
+// Rivers start at hills elevation (see selectBiome), one per LAND_CELLS_PER_RIVER land cells
+const SOURCE_ELEVATION = 0.65;
+const LAND_CELLS_PER_RIVER = 350;
+const MIN_SOURCE_SPACING = 6; // In cells
+
+// Rivers cut through rims up to this much higher than the basin floor instead of pooling behind them
+const CARVE_HEIGHT = 0.03;
+
+// Longest river in cells, and the most cells a lake floods before it overflows
+const MAX_RIVER_CELLS = 400;
+const MAX_LAKE_CELLS = 8;
+const MIN_LAKE_CELLS = 2; // Shallower dips are left as a bend in the river
+
+// River half-width in tiles: narrow at the source, widening downstream
+const RIVER_SOURCE_HALF_WIDTH = 0.6;
+const RIVER_WIDTH_GROWTH = 0.05;
+const RIVER_MAX_HALF_WIDTH = 1.8;
+
+// How far river bends stray from the cell centers, in cells
+const RIVER_MEANDER = 0.35;
+
+// Lake cells are stamped as overlapping discs of this radius, in cells
+const LAKE_CELL_RADIUS = 0.7;
+
+const NEIGHBOR_OFFSETS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1],
+];
+
+export class Hydrology {
+    // tilesX/tilesY: size of the biome tile grid; tileSize: world units per tile
+    // sample(x, y): { elevation, terrain } at a world position (terrain as returned by getTerrainType)
+    constructor(seed, tilesX, tilesY, tileSize, sample) {
+        this.tilesX = tilesX;
+        this.tilesY = tilesY;
+        this.water = new Uint8Array(tilesX * tilesY);
+
+        this.cellsX = Math.ceil(tilesX / CELL_TILES);
+        this.cellsY = Math.ceil(tilesY / CELL_TILES);
+        const cellCount = this.cellsX * this.cellsY;
+        this.elevation = new Float32Array(cellCount);
+        this.kind = new Uint8Array(cellCount);
+        this.riverOf = new Uint16Array(cellCount); // River (numbered from 1) running through each cell, or 0
+
+        for (let cy = 0; cy < this.cellsY; cy++) {
+            for (let cx = 0; cx < this.cellsX; cx++) {
+                const cell = cy * this.cellsX + cx;
+                const { elevation, terrain } = sample(
+                    (cx + 0.5) * CELL_TILES * tileSize,
+                    (cy + 0.5) * CELL_TILES * tileSize
+                );
+                this.elevation[cell] = elevation;
+                this.kind[cell] = terrain === "land" ? CELL_LAND : terrain === "ocean" ? CELL_OCEAN : CELL_COAST;
+            }
+        }
+
+        this.rng = new SeededRandom(deriveSeed(seed, "rivers"));
+        this.traceRivers();
+
+        // Only the tile grid is needed once tracing is done
+        this.elevation = null;
+        this.kind = null;
+        this.riverOf = null;
+    }
+
+    // Water at a tile (WATER_NONE, WATER_RIVER or WATER_LAKE)
+    getWaterAt(tx, ty) {
+        return this.water[ty * this.tilesX + tx];
+    }
+
+    traceRivers() {
+        const sources = [];
+        let landCells = 0;
+        for (let cell = 0; cell < this.kind.length; cell++) {
+            if (this.kind[cell] !== CELL_LAND) continue;
+            landCells++;
+            if (this.elevation[cell] >= SOURCE_ELEVATION) sources.push(cell);
+        }
+
+        // Shuffle so sources are spread over the high ground rather than taken in scan order
+        for (let i = sources.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng.next() * (i + 1));
+            [sources[i], sources[j]] = [sources[j], sources[i]];
+        }
+
+        const riverCount = Math.max(1, Math.round(landCells / LAND_CELLS_PER_RIVER));
+        const used = [];
+        for (const source of sources) {
+            if (used.length >= riverCount) break;
+            if (this.riverOf[source]) continue;
+
+            const cx = source % this.cellsX;
+            const cy = Math.floor(source / this.cellsX);
+            const tooClose = used.some(other =>
+                Math.abs(other % this.cellsX - cx) < MIN_SOURCE_SPACING &&
+                Math.abs(Math.floor(other / this.cellsX) - cy) < MIN_SOURCE_SPACING
+            );
+            if (tooClose) continue;
+
+            used.push(source);
+            this.traceRiver(source, used.length);
+        }
+    }
+
+    // Follow the steepest way down from a source, filling basins on the way
+    traceRiver(source, river) {
+        const path = [source];
+        let cell = source;
+
+        while (path.length < MAX_RIVER_CELLS) {
+            this.riverOf[cell] = river;
+            if (this.kind[cell] !== CELL_LAND) break; // Reached the coast
+
+            // Never back into its own upstream cells or lakes
+            let next = this.getLowestNeighbor(cell, n => this.riverOf[n] !== river);
+            if (next === -1 || this.elevation[next] >= this.elevation[cell] + CARVE_HEIGHT) {
+                next = this.fillBasin(cell, river);
+                if (next === -1) break; // Walled in by the world edge and its own course
+            }
+
+            path.push(next);
+            if (this.riverOf[next]) break; // Joined another river or its lake
+            cell = next;
+        }
+
+        this.stampRiver(path);
+    }
+
+    // Lowest in-bounds neighbor of a cell that passes the filter, or -1
+    getLowestNeighbor(cell, filter) {
+        const cx = cell % this.cellsX;
+        const cy = Math.floor(cell / this.cellsX);
+        let lowest = -1;
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (nx < 0 || ny < 0 || nx >= this.cellsX || ny >= this.cellsY) continue;
+            const neighbor = ny * this.cellsX + nx;
+            if (!filter(neighbor)) continue;
+            if (lowest === -1 || this.elevation[neighbor] < this.elevation[lowest]) lowest = neighbor;
+        }
+        return lowest;
+    }
+
+    // Raise a lake from the basin floor until the lowest cell around it is downhill (the spill point)
+    // A full lake overflows at the lowest cell on its rim instead
+    // Returns the cell the river carries on from, or -1 if there's no rim at all
+    fillBasin(floor, river) {
+        const lake = new Set([floor]);
+        let level = this.elevation[floor];
+        let spill = -1;
+
+        for (;;) {
+            // Lowest cell on the rim
+            let rim = -1;
+            for (const cell of lake) {
+                const neighbor = this.getLowestNeighbor(cell, n => !lake.has(n) && this.riverOf[n] !== river);
+                if (neighbor !== -1 && (rim === -1 || this.elevation[neighbor] < this.elevation[rim])) rim = neighbor;
+            }
+            if (rim === -1) break;
+
+            // Water runs out over the rim once there's a way down, into the sea or another river
+            if (this.elevation[rim] < level || this.kind[rim] !== CELL_LAND || this.riverOf[rim] ||
+                lake.size >= MAX_LAKE_CELLS) {
+                spill = rim;
+                break;
+            }
+
+            lake.add(rim);
+            level = this.elevation[rim];
+        }
+
+        for (const cell of lake) this.riverOf[cell] = river;
+        if (lake.size >= MIN_LAKE_CELLS) {
+            for (const cell of lake) {
+                const [x, y] = this.getCellCenter(cell);
+                this.stampDisc(x, y, LAKE_CELL_RADIUS * CELL_TILES, WATER_LAKE);
+            }
+        }
+
+        return spill;
+    }
+
+    // Center of a tracing cell in tile units
+    getCellCenter(cell) {
+        return [
+            (cell % this.cellsX + 0.5) * CELL_TILES,
+            (Math.floor(cell / this.cellsX) + 0.5) * CELL_TILES,
+        ];
+    }
+
+    // Stamp a river along its cells, nudging each bend off the grid so it meanders
+    stampRiver(path) {
+        let [prevX, prevY] = this.getCellCenter(path[0]);
+        for (let i = 1; i < path.length; i++) {
+            const [centerX, centerY] = this.getCellCenter(path[i]);
+            const x = centerX + this.rng.range(-RIVER_MEANDER, RIVER_MEANDER) * CELL_TILES;
+            const y = centerY + this.rng.range(-RIVER_MEANDER, RIVER_MEANDER) * CELL_TILES;
+            const halfWidth = Math.min(RIVER_MAX_HALF_WIDTH, RIVER_SOURCE_HALF_WIDTH + i * RIVER_WIDTH_GROWTH);
+
+            // Discs every half tile along the segment
+            const steps = Math.max(1, Math.ceil(Math.hypot(x - prevX, y - prevY) * 2));
+            for (let step = 0; step < steps; step++) {
+                const t = step / steps;
+                this.stampDisc(prevX + (x - prevX) * t, prevY + (y - prevY) * t, halfWidth, WATER_RIVER);
+            }
+
+            prevX = x;
+            prevY = y;
+        }
+    }
+
+    // Mark tiles whose centers fall inside a disc (tile units); lakes aren't overwritten by rivers
+    stampDisc(x, y, radius, water) {
+        const minX = Math.max(0, Math.floor(x - radius));
+        const maxX = Math.min(this.tilesX - 1, Math.ceil(x + radius));
+        const minY = Math.max(0, Math.floor(y - radius));
+        const maxY = Math.min(this.tilesY - 1, Math.ceil(y + radius));
+
+        for (let ty = minY; ty <= maxY; ty++) {
+            for (let tx = minX; tx <= maxX; tx++) {
+                const dx = tx + 0.5 - x;
+                const dy = ty + 0.5 - y;
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const index = ty * this.tilesX + tx;
+                this.water[index] = Math.max(this.water[index], water);
+            }
+        }
+    }
+}
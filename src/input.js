@@ -0,0 +1,48 @@
+// Button edge detection for menus - turns held buttons into single presses
+// D-pad directions auto-repeat while held so scrolling through options stays quick
+
+const REPEAT_DELAY = 20; // Frames before a held direction starts repeating
+const REPEAT_INTERVAL = 6; // Frames between repeats
+
+const REPEATING_BUTTONS = new Set(["up", "down", "left", "right"]);
+
+// Snapshot of every button for this frame
+// SYSTEM.ONE_PLAYER is read exactly once, since the browser shim clears it on read
+export function readButtons(PLAYER_1, SYSTEM) {
+    return {
+        up: PLAYER_1.DPAD.up,
+        down: PLAYER_1.DPAD.down,
+        left: PLAYER_1.DPAD.left,
+        right: PLAYER_1.DPAD.right,
+        a: PLAYER_1.A,
+        b: PLAYER_1.B,
+        start: SYSTEM.ONE_PLAYER,
+    };
+}
+
+export class ButtonEdges {
+    constructor() {
+        this.held = {};
+        this.heldFrames = {};
+        this.pressed = {};
+    }
+
+    // Call once per frame with the current button snapshot
+    update(buttons) {
+        for (const [name, isDown] of Object.entries(buttons)) {
+            const frames = isDown ? (this.heldFrames[name] || 0) + 1 : 0;
+            this.heldFrames[name] = frames;
+
+            let pressed = isDown && !this.held[name];
+            if (!pressed && REPEATING_BUTTONS.has(name) && frames > REPEAT_DELAY) {
+                pressed = (frames - REPEAT_DELAY) % REPEAT_INTERVAL === 0;
+            }
+            this.pressed[name] = pressed;
+            this.held[name] = isDown;
+        }
+    }
+
+    justPressed(name) {
+        return this.pressed[name] === true;
+    }
+}
@@ -0,0 +1,87 @@
+// Persistent top-10 high-score tables, one per set of run rules (world, season length, season count)
+// since scores from a short cycle on a small island don't compare with a long one on a huge continent
+// Runs that consumed the planet rank above the rest (fastest first); others rank by final size
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { WORLD_PRESETS } from "./worldConfig.js";
+
+export const LEADERBOARD_SIZE = 10;
+export const INITIALS_LENGTH = 3;
+export const INITIALS_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const LEADERBOARD_KEY = "leaderboard";
+const LAST_INITIALS_KEY = "lastInitials";
+
+// rules: { seasonDuration, totalSeasons, worldPreset } as from GameSimulation.getRules()
+function leaderboardKey(rules) {
+    return `${LEADERBOARD_KEY}.${rules.worldPreset}.${rules.seasonDuration}.${rules.totalSeasons}`;
+}
+
+// Short label for a table's rules, e.g. "Island - 4 seasons x 60s"
+export function formatRules(rules) {
+    const world = WORLD_PRESETS[rules.worldPreset]?.name ?? rules.worldPreset;
+    return `${world} - ${rules.totalSeasons} seasons x ${Math.round(rules.seasonDuration / 60)}s`;
+}
+
+// Entry shape:
+// { initials, size, seasons, collected, consumedFrames (null unless the planet was consumed), seed, rules }
+function compareEntries(a, b) {
+    const aConsumed = a.consumedFrames !== null;
+    const bConsumed = b.consumedFrames !== null;
+    if (aConsumed && bConsumed) return a.consumedFrames - b.consumedFrames;
+    if (aConsumed !== bConsumed) return aConsumed ? -1 : 1;
+    return b.size - a.size;
+}
+
+// The table for a set of run rules
+export function loadLeaderboard(rules) {
+    const entries = loadJSON(leaderboardKey(rules), []);
+    return Array.isArray(entries) ? entries.sort(compareEntries) : [];
+}
+
+// Build a leaderboard entry from a finished simulation (initials filled in later)
+export function createLeaderboardEntry(simulation, consumed) {
+    return {
+        initials: "",
+        size: Math.floor(simulation.player.size),
+        seasons: simulation.currentSeasonIndex,
+        collected: simulation.collectedCount,
+        consumedFrames: consumed ? simulation.frame : null,
+        seed: simulation.seed,
+        rules: simulation.getRules(),
+    };
+}
+
+// 0-based rank the entry would get in its rules' table, or -1 if it doesn't make the table
+export function getLeaderboardRank(entry, entries = loadLeaderboard(entry.rules)) {
+    const rank = entries.findIndex(existing => compareEntries(entry, existing) < 0);
+    if (rank !== -1) return rank;
+    return entries.length < LEADERBOARD_SIZE ? entries.length : -1;
+}
+
+// Insert an entry into its rules' table and persist it, returning { entries, rank }
+export function addLeaderboardEntry(entry) {
+    const entries = loadLeaderboard(entry.rules);
+    const rank = getLeaderboardRank(entry, entries);
+    if (rank === -1) return { entries, rank };
+
+    entries.splice(rank, 0, entry);
+    entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+    saveJSON(leaderboardKey(entry.rules), entries);
+    saveJSON(LAST_INITIALS_KEY, entry.initials);
+    return { entries, rank };
+}
+
+// Initials used for the previous entry, so regulars don't have to re-enter them
+export function loadLastInitials() {
+    const initials = loadJSON(LAST_INITIALS_KEY, "AAA");
+    return typeof initials === "string" && initials.length === INITIALS_LENGTH ? initials : "AAA";
+}
+
+// Format frames as m:ss for display
+export function formatRunTime(frames) {
+    const totalSeconds = Math.floor(frames / 60);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
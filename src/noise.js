@@ -10,8 +10,9 @@ export class SeededRandom {
     }
 
     // Simple mulberry32 PRNG
+    // State is kept in 32-bit range so long-lived streams never lose precision
     next() {
-        let t = (this.state += 0x6d2b79f5);
+        let t = (this.state = (this.state + 0x6d2b79f5) | 0);
         t = Math.imul(t ^ (t >>> 15), t | 1);
         t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
         return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
@@ -32,6 +33,17 @@ export class SeededRandom {
     }
 }
 
+// Derive an independent seed for a named random stream from a base seed (FNV-1a hash)
+// Lets one run seed drive many streams that don't disturb each other
+export function deriveSeed(seed, name) {
+    let hash = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 export class SimplexNoise {
     constructor(seed = 12345) {
         this.seed = seed;
@@ -1,11 +1,125 @@
 // Player ball with momentum-based physics
 
-import { getTerrainSpeedMultiplier } from "./biomes.js";
+import { getTerrainSpeedMultiplier, getTerrainGrip, TERRAIN_PENALTY_REDUCTION_SIZE } from "./biomes.js";
 
 const BASE_ACCELERATION = 0.35;
 const BASE_FRICTION = 0.92;
 const BASE_MAX_SPEED = 4.5;
 
+// Hills: the elevation gradient (elevation per tile) pulls the ball downhill
+const SLOPE_GRAVITY = 10; // Acceleration per unit of slope, before size scaling
+const SLOPE_MAX_SPEED_GAIN = 30; // Top speed rises rolling downhill and drops climbing, per unit of slope
+const SLOPE_MAX_SPEED_LIMIT = 0.4; // Most the top speed changes either way
+const SLOPE_SIZE_REDUCTION = 0.6; // Share of the slope effect a ball of TERRAIN_PENALTY_REDUCTION_SIZE rolls over
+const FLAT = { x: 0, y: 0 };
+
+// Dash (A): hold to charge, release to burst along the D-pad (or the way the ball is already rolling)
+const DASH_MIN_CHARGE = 10; // Frames A must be held for a release to dash
+const DASH_MAX_CHARGE = 45; // Frames to a full charge
+const DASH_POWER = [3, 7]; // Burst speed at the minimum and a full charge, before size and momentum scaling
+const DASH_DURATION = 30; // Frames the top speed stays raised after a burst, fading out
+const DASH_SPEED_BOOST = 0.8; // Extra top speed at the start of a dash
+const DASH_COOLDOWN = 150; // Frames before the next dash can charge
+
+// Brake (B): extra friction per frame, weaker for heavy balls and on slippery terrain
+const BRAKE_STRENGTH = 0.15;
+
+// Collected objects stuck to the ball's surface
+const RECENT_PICKUPS = 30; // Latest pickups a hit can knock loose, whether or not they still show on the surface
+const MAX_ATTACHED = 40; // Oldest, most buried items are dropped beyond this
+const BURY_RATIO = 0.05; // Items smaller than this fraction of the ball are fully buried
+const EXPOSED_RATIO = 0.25; // Items at least this fraction of the ball stick out completely
+const IMPACT_TILT = 0.35; // Tilts impact points toward the viewer so new items land on the visible side
+
+// Surface seams: great circles in ball-local space, sampled as unit vectors
+// Each sample keeps its circle's axis, which points across the seam for drawing stitches
+const SEAM_SAMPLES = 36;
+const SEAM_AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1], [0.577, 0.577, 0.577]];
+const SEAMS = SEAM_AXES.map(axis => {
+    const length = Math.hypot(...axis);
+    const n = axis.map(v => v / length);
+    // Two unit vectors spanning the circle's plane
+    const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const uRaw = [
+        n[1] * helper[2] - n[2] * helper[1],
+        n[2] * helper[0] - n[0] * helper[2],
+        n[0] * helper[1] - n[1] * helper[0],
+    ];
+    const uLength = Math.hypot(...uRaw);
+    const u = uRaw.map(v => v / uLength);
+    const v = [n[1] * u[2] - n[2] * u[1], n[2] * u[0] - n[0] * u[2], n[0] * u[1] - n[1] * u[0]];
+
+    const points = [];
+    for (let i = 0; i < SEAM_SAMPLES; i++) {
+        const angle = (i / SEAM_SAMPLES) * Math.PI * 2;
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        points.push([u[0] * c + v[0] * s, u[1] * c + v[1] * s, u[2] * c + v[2] * s]);
+    }
+    return { axis: n, points };
+});
+const STITCH_LENGTH = 0.07; // Stitch half-length as a fraction of the radius
+
+// 3x3 rotation matrices are flat row-major arrays
+// Ball space: x right, y down (screen), z toward the viewer
+function matrixMultiply(a, b) {
+    const out = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            out[row * 3 + col] =
+                a[row * 3] * b[col] +
+                a[row * 3 + 1] * b[3 + col] +
+                a[row * 3 + 2] * b[6 + col];
+        }
+    }
+    return out;
+}
+
+// Rotation by angle around unit axis (ax, ay, az) (Rodrigues' formula)
+function axisAngleMatrix(ax, ay, az, angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const t = 1 - c;
+    return [
+        t * ax * ax + c, t * ax * ay - s * az, t * ax * az + s * ay,
+        t * ax * ay + s * az, t * ay * ay + c, t * ay * az - s * ax,
+        t * ax * az - s * ay, t * ay * az + s * ax, t * az * az + c,
+    ];
+}
+
+// Re-orthonormalize rows so rounding error doesn't skew the ball over a long run
+function orthonormalize(m) {
+    const len0 = Math.hypot(m[0], m[1], m[2]);
+    const r0 = [m[0] / len0, m[1] / len0, m[2] / len0];
+    const dot = r0[0] * m[3] + r0[1] * m[4] + r0[2] * m[5];
+    const r1raw = [m[3] - dot * r0[0], m[4] - dot * r0[1], m[5] - dot * r0[2]];
+    const len1 = Math.hypot(r1raw[0], r1raw[1], r1raw[2]);
+    const r1 = [r1raw[0] / len1, r1raw[1] / len1, r1raw[2] / len1];
+    const r2 = [
+        r0[1] * r1[2] - r0[2] * r1[1],
+        r0[2] * r1[0] - r0[0] * r1[2],
+        r0[0] * r1[1] - r0[1] * r1[0],
+    ];
+    return [...r0, ...r1, ...r2];
+}
+
+function transform(m, v) {
+    return [
+        m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+        m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+        m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+    ];
+}
+
+// Inverse of a rotation is its transpose
+function transformInverse(m, v) {
+    return [
+        m[0] * v[0] + m[3] * v[1] + m[6] * v[2],
+        m[1] * v[0] + m[4] * v[1] + m[7] * v[2],
+        m[2] * v[0] + m[5] * v[1] + m[8] * v[2],
+    ];
+}
+
 export class Player {
     constructor(x, y, size = 12) {
         this.x = x;
@@ -15,6 +129,39 @@ export class Player {
         this.size = size;
         this.currentBiome = null;
         this.terrainSpeedMultiplier = 1.0;
+        this.terrainGrip = 1.0; // Below 1 on ice: weaker pushes and a longer slide
+        this.slope = FLAT; // Elevation gradient under the ball (level on water)
+        this.cruiseSpeed = BASE_MAX_SPEED; // Top speed on the flat without a dash, for the current size and terrain
+
+        // Ball orientation (rotation from ball-local to view space), rolled by movement
+        this.orientation = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+        // Items stuck to the surface: { type, sprite, size, normal, tangent } with vectors in ball-local space
+        this.attached = [];
+
+        // Latest pickups, oldest first: { type, sprite, size, growth, sticker, logEntry }
+        // sticker is the attached entry (or null once buried); logEntry is the simulation's record of the pickup
+        this.recentPickups = [];
+
+        // Dash: frames A has been held, frames left of the current dash, and the wait before the next
+        this.dashCharge = 0;
+        this.dashFrames = 0;
+        this.dashCooldown = 0;
+        this.dashStarted = false; // True on the frame a dash is released
+    }
+
+    get isDashing() {
+        return this.dashFrames > 0;
+    }
+
+    // 0-1 charge of a dash being held
+    getDashCharge() {
+        return Math.min(1, this.dashCharge / DASH_MAX_CHARGE);
+    }
+
+    // 0-1 recovery from the last dash (1 = ready)
+    getDashReadiness() {
+        return 1 - this.dashCooldown / DASH_COOLDOWN;
     }
 
     get radius() {
@@ -31,13 +178,16 @@ export class Player {
         return 1 + Math.log10(this.size / 10) * 0.3;
     }
 
-    update(input, worldWidth, worldHeight, world) {
+    // season: current season, for the biomes' seasonal terrain (ice, mud, snowdrifts)
+    update(input, worldWidth, worldHeight, world, season = null) {
         // Check current biome and calculate terrain speed multiplier
         if (world) {
             this.currentBiome = world.getBiomeAt(this.x, this.y);
             if (this.currentBiome) {
-                this.terrainSpeedMultiplier = getTerrainSpeedMultiplier(this.currentBiome, this.size);
+                this.terrainSpeedMultiplier = getTerrainSpeedMultiplier(this.currentBiome, this.size, season);
+                this.terrainGrip = getTerrainGrip(this.currentBiome, season);
             }
+            this.slope = this.currentBiome && !this.currentBiome.isWater ? world.getSlopeAt(this.x, this.y) : FLAT;
         }
 
         // Calculate momentum factor (larger = more inertia)
@@ -46,7 +196,7 @@ export class Player {
         // Acceleration scales sublinearly with size (sqrt) for better control at large sizes
         // Momentum factor adds slight sluggishness at large sizes for feel
         const sizeSpeedScale = Math.sqrt(this.size / 12);
-        const acceleration = (BASE_ACCELERATION * sizeSpeedScale / momentum) * this.terrainSpeedMultiplier;
+        const acceleration = (BASE_ACCELERATION * sizeSpeedScale / momentum) * this.terrainSpeedMultiplier * this.terrainGrip;
 
         // Apply acceleration based on input
         if (input.up) this.vy -= acceleration;
@@ -54,6 +204,15 @@ export class Player {
         if (input.left) this.vx -= acceleration;
         if (input.right) this.vx += acceleration;
 
+        this.updateDash(input, sizeSpeedScale, momentum);
+
+        // Gravity pulls the ball down the slope, which also drags it when climbing
+        // Big balls roll over the hills more easily
+        const slopeScale = 1 - Math.min(1, this.size / TERRAIN_PENALTY_REDUCTION_SIZE) * SLOPE_SIZE_REDUCTION;
+        const slopeAcceleration = SLOPE_GRAVITY * sizeSpeedScale * slopeScale;
+        this.vx -= this.slope.x * slopeAcceleration;
+        this.vy -= this.slope.y * slopeAcceleration;
+
         // Friction is affected by momentum (bigger = slides more)
         let baseFriction = BASE_FRICTION;
         baseFriction = baseFriction + (1 - baseFriction) * (1 - 1 / momentum) * 0.5;
@@ -64,14 +223,41 @@ export class Player {
             baseFriction *= (1 - terrainFrictionBonus);
         }
 
+        // Slippery terrain takes away most of the friction, so the ball keeps sliding
+        baseFriction = 1 - (1 - baseFriction) * this.terrainGrip;
+
         // Apply friction uniformly (always slows player down)
         this.vx *= baseFriction;
         this.vy *= baseFriction;
 
+        // Braking bleeds off speed on top, less for heavy balls and barely at all on ice
+        if (input.b) {
+            const brake = 1 - (BRAKE_STRENGTH / momentum) * this.terrainGrip;
+            this.vx *= brake;
+            this.vy *= brake;
+            this.dashFrames = 0;
+        }
+
         // Max speed scales sublinearly with size (sqrt) for better control at large sizes
-        const currentMaxSpeed = BASE_MAX_SPEED * sizeSpeedScale * this.terrainSpeedMultiplier;
+        let currentMaxSpeed = BASE_MAX_SPEED * sizeSpeedScale * this.terrainSpeedMultiplier;
+        this.cruiseSpeed = currentMaxSpeed;
+
+        // A dash lifts the limit for a moment so the burst carries
+        if (this.dashFrames > 0) {
+            currentMaxSpeed *= 1 + DASH_SPEED_BOOST * (this.dashFrames / DASH_DURATION);
+            this.dashFrames--;
+        }
 
         const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+
+        // Faster downhill, slower uphill
+        if (speed > 0) {
+            const downhill = -(this.slope.x * this.vx + this.slope.y * this.vy) / speed;
+            const slopeSpeed = Math.max(-SLOPE_MAX_SPEED_LIMIT, Math.min(SLOPE_MAX_SPEED_LIMIT,
+                downhill * SLOPE_MAX_SPEED_GAIN * slopeScale));
+            currentMaxSpeed *= 1 + slopeSpeed;
+        }
+
         if (speed > currentMaxSpeed) {
             this.vx = (this.vx / speed) * currentMaxSpeed;
             this.vy = (this.vy / speed) * currentMaxSpeed;
@@ -81,6 +267,8 @@ export class Player {
         this.x += this.vx;
         this.y += this.vy;
 
+        this.roll(Math.min(speed, currentMaxSpeed));
+
         // Wrap around world boundaries (toroidal world)
         if (this.x < 0) this.x += worldWidth;
         if (this.x >= worldWidth) this.x -= worldWidth;
@@ -88,11 +276,154 @@ export class Player {
         if (this.y >= worldHeight) this.y -= worldHeight;
     }
 
+    // Charge while A is held and burst on release, once the cooldown allows
+    updateDash(input, sizeSpeedScale, momentum) {
+        this.dashStarted = false;
+        if (this.dashCooldown > 0) {
+            this.dashCooldown--;
+            return;
+        }
+
+        if (input.a) {
+            this.dashCharge++;
+            return;
+        }
+        if (this.dashCharge < DASH_MIN_CHARGE) {
+            this.dashCharge = 0;
+            return;
+        }
+
+        // Burst along the D-pad, or keep rolling the same way without it
+        let dirX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        let dirY = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+        if (dirX === 0 && dirY === 0) {
+            dirX = this.vx;
+            dirY = this.vy;
+        }
+        const dirLength = Math.sqrt(dirX * dirX + dirY * dirY);
+        const charge = this.getDashCharge();
+        this.dashCharge = 0;
+        if (dirLength === 0) return;
+
+        const power = (DASH_POWER[0] + (DASH_POWER[1] - DASH_POWER[0]) * charge) * sizeSpeedScale / momentum;
+        this.vx += (dirX / dirLength) * power;
+        this.vy += (dirY / dirLength) * power;
+        this.dashFrames = DASH_DURATION;
+        this.dashCooldown = DASH_COOLDOWN;
+        this.dashStarted = true;
+    }
+
+    // Rotate the ball as if it rolled without slipping along this frame's velocity
+    // The roll axis is perpendicular to the motion in the ground plane, so the top surface moves with the ball
+    roll(speed) {
+        if (speed <= 0) return;
+        const ax = -this.vy / speed;
+        const ay = this.vx / speed;
+        const rotation = axisAngleMatrix(ax, ay, 0, speed / this.radius);
+        this.orientation = orthonormalize(matrixMultiply(rotation, this.orientation));
+    }
+
     grow(amount) {
         this.size += amount;
+
+        // Items too small to see against the ball are buried for good
+        this.attached = this.attached.filter(item => item.size >= this.size * BURY_RATIO);
+    }
+
+    // Lose size to a hit, never below minSize
+    shrink(amount, minSize) {
+        this.size = Math.max(minSize, this.size - amount);
+    }
+
+    // Take in a collected object: grow by growth, stick it on and remember it as a recent pickup
+    collect(obj, growth, worldWidth, worldHeight, logEntry = null) {
+        this.grow(growth);
+        const sticker = this.attach(obj, worldWidth, worldHeight);
+
+        this.recentPickups.push({ type: obj.type, sprite: obj.sprite, size: obj.size, growth, sticker, logEntry });
+        if (this.recentPickups.length > RECENT_PICKUPS) {
+            this.recentPickups.shift();
+        }
+    }
+
+    // Pull the latest count pickups back off the ball and return them (their size isn't taken off here)
+    shedItems(count) {
+        if (count <= 0) return [];
+        const shed = this.recentPickups.splice(-count, count);
+        const stickers = new Set(shed.map(item => item.sticker));
+        this.attached = this.attached.filter(item => !stickers.has(item));
+        return shed;
+    }
+
+    // Stick a collected object to the surface where it hit, returning its entry (null if it's buried straight away)
+    attach(obj, worldWidth, worldHeight) {
+        if (obj.size < this.size * BURY_RATIO) return null;
+
+        let dx = obj.x - this.x;
+        let dy = obj.y - this.y;
+
+        // Handle wrapping for the impact direction
+        if (Math.abs(dx) > worldWidth / 2) {
+            dx = dx > 0 ? dx - worldWidth : dx + worldWidth;
+        }
+        if (Math.abs(dy) > worldHeight / 2) {
+            dy = dy > 0 ? dy - worldHeight : dy + worldHeight;
+        }
+
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const flat = 1 - IMPACT_TILT;
+        const viewNormal = [(dx / dist) * flat, (dy / dist) * flat, IMPACT_TILT];
+        const normalLength = Math.hypot(...viewNormal);
+        viewNormal[0] /= normalLength;
+        viewNormal[1] /= normalLength;
+        viewNormal[2] /= normalLength;
+
+        // Tangent keeps the sprite's "up" pointing along the surface as the ball turns
+        const viewTangent = [-viewNormal[1], viewNormal[0], 0];
+        const tangentLength = Math.hypot(...viewTangent) || 1;
+
+        const sticker = {
+            type: obj.type,
+            sprite: obj.sprite,
+            size: obj.size,
+            normal: transformInverse(this.orientation, viewNormal),
+            tangent: transformInverse(this.orientation, viewTangent.map(v => v / tangentLength)),
+        };
+        this.attached.push(sticker);
+
+        // Over the cap, drop the smallest (most buried) item
+        if (this.attached.length > MAX_ATTACHED) {
+            let smallest = 0;
+            for (let i = 1; i < this.attached.length; i++) {
+                if (this.attached[i].size < this.attached[smallest].size) smallest = i;
+            }
+            this.attached.splice(smallest, 1);
+        }
+        return sticker;
     }
 
-    bounceFrom(objX, objY, worldWidth, worldHeight) {
+    // How fast the ball is closing on a point as a share of its cruising top speed
+    // Only a dash or a downhill run takes it past 1
+    getImpactRatio(objX, objY, worldWidth, worldHeight) {
+        let dx = objX - this.x;
+        let dy = objY - this.y;
+
+        // Handle wrapping for the impact direction
+        if (Math.abs(dx) > worldWidth / 2) {
+            dx = dx > 0 ? dx - worldWidth : dx + worldWidth;
+        }
+        if (Math.abs(dy) > worldHeight / 2) {
+            dy = dy > 0 ? dy - worldHeight : dy + worldHeight;
+        }
+
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0) return 0;
+        const closing = (this.vx * dx + this.vy * dy) / dist;
+        return Math.max(0, closing) / this.cruiseSpeed;
+    }
+
+    // strength: multiplier on the usual knockback (hostile hits throw the ball further)
+    bounceFrom(objX, objY, worldWidth, worldHeight, strength = 1) {
         // Calculate bounce direction away from object (with wrapping consideration)
         let dx = this.x - objX;
         let dy = this.y - objY;
@@ -113,10 +444,13 @@ export class Player {
 
             // Knockback scales with size (sqrt) so it feels proportionate
             const sizeSpeedScale = Math.sqrt(this.size / 12);
-            const knockback = 3 * sizeSpeedScale;
+            const knockback = 3 * sizeSpeedScale * strength;
             this.vx = nx * knockback;
             this.vy = ny * knockback;
         }
+
+        // A bounce ends any dash
+        this.dashFrames = 0;
     }
 
     // Check collision with wrapping
@@ -146,6 +480,20 @@ export class Player {
         const drawX = renderX !== null ? renderX : this.x;
         const drawY = renderY !== null ? renderY : this.y;
 
+        // Project attached items into view space, far side first
+        const projected = [];
+        for (const item of this.attached) {
+            const normal = transform(this.orientation, item.normal);
+            projected.push({ item, normal, tangent: transform(this.orientation, item.tangent) });
+        }
+        projected.sort((a, b) => a.normal[2] - b.normal[2]);
+
+        // Items and seams on the far side show faintly through the translucent ball
+        for (const entry of projected) {
+            if (entry.normal[2] >= 0) break;
+            this.drawAttached(p, drawX, drawY, entry, 60);
+        }
+        this.drawSeams(p, drawX, drawY, false);
 
         // Draw main ball - translucent fill with opaque border
         // Dark gray border (opaque)
@@ -154,5 +502,78 @@ export class Player {
         // Light gray fill (50% translucent)
         p.fill(50, 50, 50, 127);
         p.ellipse(drawX, drawY, this.size, this.size);
+
+        this.drawSeams(p, drawX, drawY, true);
+
+        for (const entry of projected) {
+            if (entry.normal[2] < 0) continue;
+            this.drawAttached(p, drawX, drawY, entry, 255);
+        }
+    }
+
+    // Stitched seams that turn with the ball's orientation, so rolling reads at a glance
+    // front: draw the near half (seam lines plus cross stitches), otherwise the far half as faint lines
+    drawSeams(p, drawX, drawY, front) {
+        const r = this.radius;
+        const weight = Math.max(0.5, this.size * 0.015);
+
+        p.noFill();
+        p.strokeWeight(weight);
+        p.stroke(front ? p.color(200, 200, 210, 200) : p.color(160, 160, 170, 60));
+
+        for (const seam of SEAMS) {
+            const axis = transform(this.orientation, seam.axis);
+            let previous = transform(this.orientation, seam.points[SEAM_SAMPLES - 1]);
+
+            for (let i = 0; i < SEAM_SAMPLES; i++) {
+                const point = transform(this.orientation, seam.points[i]);
+                if ((point[2] >= 0 && previous[2] >= 0) === front) {
+                    p.line(drawX + previous[0] * r, drawY + previous[1] * r, drawX + point[0] * r, drawY + point[1] * r);
+
+                    // Cross stitches on every other sample of the near side
+                    if (front && i % 2 === 0) {
+                        const sx = axis[0] * STITCH_LENGTH * r;
+                        const sy = axis[1] * STITCH_LENGTH * r;
+                        const cx = drawX + point[0] * r;
+                        const cy = drawY + point[1] * r;
+                        p.line(cx - sx, cy - sy, cx + sx, cy + sy);
+                    }
+                }
+                previous = point;
+            }
+        }
+    }
+
+    // Draw one attached item, shrinking it as it gets buried and as it turns toward the ball's edge
+    drawAttached(p, drawX, drawY, { item, normal, tangent }, alpha) {
+        const ratio = item.size / this.size;
+        const exposed = Math.min(1, (ratio - BURY_RATIO) / (EXPOSED_RATIO - BURY_RATIO));
+        const facing = 0.5 + 0.5 * Math.abs(normal[2]);
+        const drawSize = Math.min(item.size, this.radius) * Math.sqrt(Math.max(0, exposed)) * facing;
+
+        // Level of detail: skip anything that would be a speck on screen
+        if (drawSize < this.size * 0.04) return;
+
+        // Buried items sit lower in the surface
+        const surface = this.radius * (0.8 + 0.2 * exposed);
+
+        p.push();
+        p.translate(drawX + normal[0] * surface, drawY + normal[1] * surface);
+        p.rotate(Math.atan2(tangent[1], tangent[0]));
+
+        if (item.sprite) {
+            p.imageMode(p.CENTER);
+            p.drawingContext.imageSmoothingEnabled = false;
+            // globalAlpha instead of tint(): tinting re-processes the image on every draw
+            p.drawingContext.globalAlpha = alpha / 255;
+            p.image(item.sprite, 0, 0, drawSize, drawSize);
+        } else {
+            p.noStroke();
+            const [r, g, b] = item.type.color || [200, 100, 100];
+            p.fill(r, g, b, alpha);
+            p.ellipse(0, 0, drawSize, drawSize);
+        }
+
+        p.pop();
     }
 }
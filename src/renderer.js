@@ -0,0 +1,1491 @@
+// Shared p5 renderer over GameSimulation
+// Entry points (sketch.js for the cabinet, game-browser.js for keyboard play) only supply input
+
+import { GameSimulation, OUTCOME, SEASON_CYCLE } from "./simulation.js";
+import { BIOMES } from "./world.js";
+import { SeededRandom } from "./noise.js";
+import { WEATHER } from "./weather.js";
+import { createEmojiSprite, DEFAULT_SPRITE_SIZE, LARGE_SPRITE_SIZE } from "./sprites.js";
+import { InputRecorder, ReplayPlayer, loadLastReplay, saveLastReplay } from "./replay.js";
+import { Ghost, GhostRecorder, loadBestGhost, saveGhostIfBest } from "./ghost.js";
+import { ButtonEdges, readButtons } from "./input.js";
+import {
+    SETTINGS_FIELDS,
+    formatSetting,
+    getRunRules,
+    loadSettings,
+    randomSeed,
+    saveSettings,
+    stepSetting,
+} from "./settings.js";
+import { playSound, setVolume } from "./sound.js";
+import {
+    INITIALS_ALPHABET,
+    INITIALS_LENGTH,
+    addLeaderboardEntry,
+    createLeaderboardEntry,
+    formatRules,
+    formatRunTime,
+    getLeaderboardRank,
+    loadLastInitials,
+    loadLeaderboard,
+} from "./leaderboard.js";
+
+// RCade screen dimensions
+export const SCREEN_WIDTH = 336;
+export const SCREEN_HEIGHT = 262;
+
+// Game states
+const STATE = {
+    TITLE: "title",
+    PLAYING: "playing",
+    PAUSED: "paused",
+    SETTINGS: "settings",
+    ENTER_INITIALS: "enter_initials",
+    PLANET_CONSUMED: "planet_consumed",
+    CYCLE_COMPLETE: "cycle_complete",
+};
+
+// Title and end screens alternate with the leaderboard (frames per page)
+const TITLE_PAGE_FRAMES = 8 * 60;
+const END_PAGE_FRAMES = 5 * 60;
+
+// Seasonal emoji for progress bar
+const SEASON_EMOJI = {
+    spring: "🌸",
+    summer: "☀️",
+    fall: "🍂",
+    winter: "❄️"
+};
+
+// Weather shown next to the season name while an event is running
+const WEATHER_EMOJI = {
+    [WEATHER.RAIN]: "🌧️",
+    [WEATHER.HEAT]: "🌡️",
+    [WEATHER.WIND]: "💨",
+    [WEATHER.SNOW]: "🌨️",
+    [WEATHER.FOG]: "🌫️",
+};
+
+// Night lighting: a tinted darkness layer with light cut out around the ball and glowing objects
+const NIGHT_COLOR = [15, 20, 55];
+const NIGHT_DARKNESS = 0.75; // Layer opacity at the darkest point of the night
+const TWILIGHT_COLOR = [255, 140, 60]; // Warm tint at dusk and dawn
+const TWILIGHT_STRENGTH = 0.18;
+const PLAYER_LIGHT_RADIUS = 4; // In ball radii
+
+// Seasonal accent colors for progress bars and charts
+const SEASON_COLORS = {
+    spring: [120, 200, 120],
+    summer: [220, 180, 50],
+    fall: [200, 120, 60],
+    winter: [140, 180, 220]
+};
+
+// Letter grades for runs that outlast the seasons, by final size (highest first)
+const RUN_GRADES = [
+    { grade: "S", minSize: 1500, color: [255, 220, 100] },
+    { grade: "A", minSize: 800, color: [120, 220, 255] },
+    { grade: "B", minSize: 400, color: [140, 230, 140] },
+    { grade: "C", minSize: 150, color: [220, 180, 255] },
+    { grade: "D", minSize: 0, color: [180, 180, 180] },
+];
+
+// Pause menu entries, top to bottom
+const PAUSE_MENU = [
+    { id: "resume", label: "Resume" },
+    { id: "restart", label: "Restart (same seed)" },
+    { id: "newSeed", label: "New seed" },
+    { id: "settings", label: "Settings" },
+    { id: "quit", label: "Quit to title" },
+];
+
+// Create a p5 instance-mode sketch
+// PLAYER_1/SYSTEM: input objects with the @rcade/plugin-input-classic API
+// prompts: { start, restart } text shown on the title and end screens
+// preload: optional hook run during p5 preload (e.g. loading the sprite index)
+// Returns { sketch, playReplay } - playReplay(replay) starts watching a replay from outside the canvas
+export function createGameSketch({ PLAYER_1, SYSTEM, prompts, preload = null }) {
+    let startReplay = null;
+
+    const sketch = (p) => {
+        let gameState = STATE.TITLE;
+        let stateFrames = 0; // Frames spent in the current state
+        let simulation = null;
+        let sprites = {};
+
+        // Menu-style button presses (edges), updated once per frame
+        const buttons = new ButtonEdges();
+
+        // High scores, plus the entry being named after a qualifying run
+        // The table shown is the one for leaderboardRules: the settings' rules, or the finished run's
+        let leaderboardRules = null;
+        let leaderboard = [];
+        let pendingEntry = null;
+        let initials = [];
+        let initialsCursor = 0;
+        let highlightRank = -1; // Leaderboard row of the run that just finished
+        let resultState = null; // End screen to show once initials are entered
+        let runStats = null; // simulation.getCollectionStats() for the finished run
+
+        // Pause menu cursor (index into PAUSE_MENU)
+        let pauseCursor = 0;
+
+        // Persisted settings, plus where the settings screen returns to
+        let settings = loadSettings();
+        let settingsCursor = 0;
+        let settingsReturnState = STATE.TITLE;
+        setVolume(settings.volume / 10);
+        showLeaderboardFor(getRunRules(settings));
+
+        // Live runs are recorded; replays feed recorded input instead of PLAYER_1
+        let recorder = null;
+        let replayPlayer = null;
+        let lastReplay = loadLastReplay();
+
+        // Best-run ghost to race against, and the trajectory of the current live run
+        let ghost = null;
+        let ghostRecorder = null;
+
+        // Space background stars (generated once)
+        let backgroundStars = [];
+
+        // Night darkness layer, created the first time it gets dark
+        let lightLayer = null;
+
+        // Load sprites for all biome objects across all seasons
+        function loadSprites() {
+            for (const biome of Object.values(BIOMES)) {
+                for (const season of SEASON_CYCLE) {
+                    const seasonalObjects = biome.objects[season] || [];
+                    for (const objDef of seasonalObjects) {
+                        if (!sprites[objDef.emoji]) {
+                            sprites[objDef.emoji] = createEmojiSprite(p, objDef.emoji, DEFAULT_SPRITE_SIZE);
+                        }
+                    }
+                }
+            }
+
+            // Load large object sprites at even higher resolution
+            const largeEmojis = ["🏠", "🌲", "🌳", "🪨", "🐳", "🐋", "🐙", "🦑"];
+            for (const emoji of largeEmojis) {
+                if (!sprites[emoji]) {
+                    sprites[emoji] = createEmojiSprite(p, emoji, LARGE_SPRITE_SIZE);
+                }
+            }
+        }
+
+        // Start a live run on the given seed, or watch a replay (which carries its own seed and rules)
+        function startGame(replay = null, runSeed = settings.seed) {
+            // Load sprites before spawning so objects get their images
+            loadSprites();
+
+            const seed = replay ? replay.seed : runSeed;
+            const rules = replay ? replay.rules : getRunRules(settings);
+            simulation = new GameSimulation({
+                seed,
+                screenWidth: SCREEN_WIDTH,
+                screenHeight: SCREEN_HEIGHT,
+                spriteFor: (emoji) => sprites[emoji] || null,
+                ...rules,
+            });
+
+            replayPlayer = replay ? new ReplayPlayer(replay) : null;
+            recorder = replay ? null : new InputRecorder(seed, rules);
+
+            const { worldConfig } = simulation;
+            const bestGhost = loadBestGhost(seed, worldConfig.id);
+            ghost = bestGhost ? new Ghost(bestGhost, worldConfig.width, worldConfig.height) : null;
+            ghostRecorder = replay ? null : new GhostRecorder(seed, worldConfig.id);
+
+            highlightRank = -1;
+            setGameState(STATE.PLAYING);
+        }
+
+        function setGameState(state) {
+            gameState = state;
+            stateFrames = 0;
+
+            // The title screen shows the table for the rules the next run would use
+            if (state === STATE.TITLE) {
+                showLeaderboardFor(getRunRules(settings));
+            }
+        }
+
+        startReplay = (replay) => startGame(replay);
+
+        if (preload) {
+            p.preload = () => preload(p);
+        }
+
+        p.setup = () => {
+            p.createCanvas(SCREEN_WIDTH, SCREEN_HEIGHT);
+            p.textFont("sans-serif");
+
+            // Generate background stars once
+            generateBackgroundStars();
+        };
+
+        function generateBackgroundStars() {
+            backgroundStars = [];
+            const starRng = new SeededRandom(12345);
+
+            // Create layers of stars with different properties
+            for (let i = 0; i < 80; i++) {
+                backgroundStars.push({
+                    x: starRng.next() * SCREEN_WIDTH,
+                    y: starRng.next() * SCREEN_HEIGHT,
+                    size: starRng.range(0.5, 2.5),
+                    brightness: starRng.range(100, 255),
+                    twinkleSpeed: starRng.range(0.02, 0.08),
+                    twinkleOffset: starRng.next() * Math.PI * 2,
+                    // Some stars have color tints
+                    hue: starRng.next() < 0.3 ? starRng.range(220, 320) : null, // Purple/pink range
+                });
+            }
+        }
+
+        function drawSpaceBackground() {
+            const time = p.frameCount;
+
+            // Deep space base - very dark with subtle purple
+            p.background(8, 5, 18);
+
+            // Draw bright, dynamic nebula clouds
+            p.noStroke();
+            for (let i = 0; i < 7; i++) {
+                // More dynamic movement with multiple sine waves
+                const nebulaX = (Math.sin(i * 1.7 + time * 0.003) * 0.4 +
+                               Math.cos(i * 0.9 + time * 0.002) * 0.15 + 0.5) * SCREEN_WIDTH;
+                const nebulaY = (Math.cos(i * 2.3 + time * 0.0025) * 0.4 +
+                               Math.sin(i * 1.1 + time * 0.0015) * 0.15 + 0.5) * SCREEN_HEIGHT;
+
+                // Pulsing size
+                const pulseScale = 1 + Math.sin(time * 0.02 + i * 0.7) * 0.2;
+                const nebulaSize = (100 + i * 35) * pulseScale;
+
+                // Brighter purple/magenta/cyan nebula glow with color variation
+                for (let r = nebulaSize; r > 0; r -= 15) {
+                    const normalizedR = r / nebulaSize;
+                    const alpha = normalizedR * 40; // Much brighter (was 15)
+                    // Cycle through purples, magentas, and occasional cyan
+                    const baseHue = 260 + i * 20 + Math.sin(time * 0.015 + i * 0.5) * 40;
+                    const hue = (baseHue + (1 - normalizedR) * 30) % 360;
+                    const saturation = 70 + Math.sin(time * 0.01 + r * 0.01) * 20;
+                    const brightness = 50 + normalizedR * 30; // Brighter cores
+                    p.colorMode(p.HSB);
+                    p.fill(hue, saturation, brightness, alpha / 255);
+                    p.ellipse(nebulaX, nebulaY, r, r * 0.7);
+                    p.colorMode(p.RGB);
+                }
+            }
+
+            // Draw stars with twinkling
+            p.noStroke();
+            for (const star of backgroundStars) {
+                const twinkle = Math.sin(time * star.twinkleSpeed + star.twinkleOffset) * 0.3 + 0.7;
+                const brightness = star.brightness * twinkle;
+
+                if (star.hue !== null) {
+                    // Colored star (purple/pink tints)
+                    p.colorMode(p.HSB);
+                    p.fill(star.hue, 50, brightness / 255 * 100);
+                    p.colorMode(p.RGB);
+                } else {
+                    // White/warm star
+                    p.fill(brightness, brightness * 0.95, brightness * 0.9);
+                }
+
+                p.ellipse(star.x, star.y, star.size * twinkle, star.size * twinkle);
+            }
+        }
+
+        p.draw = () => {
+            buttons.update(readButtons(PLAYER_1, SYSTEM));
+            stateFrames++;
+
+            // Apply screen shake
+            p.push();
+            if (gameState === STATE.PLAYING && simulation.screenShake > 0) {
+                p.translate(simulation.shakeOffset.x * settings.shake, simulation.shakeOffset.y * settings.shake);
+            }
+
+            switch (gameState) {
+                case STATE.TITLE:
+                    drawTitleScreen();
+                    break;
+                case STATE.PLAYING:
+                    updateGame();
+                    drawGame();
+                    break;
+                case STATE.PAUSED:
+                    // The simulation isn't stepped, so seasons, particles and notifications all hold still
+                    updatePauseMenu();
+                    if (gameState === STATE.PAUSED) {
+                        drawGame();
+                        drawPauseMenu();
+                    }
+                    break;
+                case STATE.SETTINGS:
+                    updateSettingsMenu();
+                    if (gameState === STATE.SETTINGS) {
+                        drawSettingsMenu();
+                    }
+                    break;
+                case STATE.ENTER_INITIALS:
+                    updateInitialsEntry();
+                    drawInitialsEntryScreen();
+                    break;
+                case STATE.PLANET_CONSUMED:
+                case STATE.CYCLE_COMPLETE:
+                    if (isEndLeaderboardPage()) {
+                        drawEndLeaderboardScreen();
+                    } else if (gameState === STATE.PLANET_CONSUMED) {
+                        drawPlanetConsumedScreen();
+                    } else {
+                        drawCycleCompleteScreen();
+                    }
+                    if (buttons.justPressed("start")) {
+                        startGame();
+                    }
+                    break;
+            }
+
+            p.pop();
+        };
+
+        // Helper function to draw text with black outline
+        function drawOutlinedText(text, x, y, outlineWeight = 2) {
+            const currentFill = p.drawingContext.fillStyle;
+            p.fill(0);
+            for (let ox = -outlineWeight; ox <= outlineWeight; ox++) {
+                for (let oy = -outlineWeight; oy <= outlineWeight; oy++) {
+                    if (ox !== 0 || oy !== 0) {
+                        p.text(text, x + ox, y + oy);
+                    }
+                }
+            }
+            p.drawingContext.fillStyle = currentFill;
+            p.text(text, x, y);
+        }
+
+        function drawTitleScreen() {
+            drawSpaceBackground();
+
+            if (buttons.justPressed("start")) {
+                startGame();
+                return;
+            } else if (lastReplay && buttons.justPressed("b")) {
+                startGame(lastReplay);
+                return;
+            } else if (buttons.justPressed("a")) {
+                openSettings(STATE.TITLE);
+                return;
+            }
+
+            // Attract mode: alternate the title with the high score table
+            const showLeaderboard = leaderboard.length > 0 &&
+                Math.floor(stateFrames / TITLE_PAGE_FRAMES) % 2 === 1;
+            if (showLeaderboard) {
+                drawLeaderboard(20);
+                p.textSize(12);
+                p.fill(255, 255, 100);
+                p.textAlign(p.CENTER, p.CENTER);
+                if (Math.sin(p.frameCount * 0.1) > 0) {
+                    drawOutlinedText(prompts.start, SCREEN_WIDTH / 2, SCREEN_HEIGHT - 22);
+                }
+                return;
+            }
+
+            // Title
+            p.fill(255);
+            p.textSize(24);
+            p.textAlign(p.CENTER, p.CENTER);
+            drawOutlinedText("SEASONAL", SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 - 50);
+            drawOutlinedText("GROWTH", SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 - 20);
+
+            // Instructions
+            p.textSize(9);
+            p.fill(200);
+            drawOutlinedText("How big can you get?", SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 + 45);
+
+            p.textSize(12);
+            p.fill(255, 255, 100);
+            const blink = Math.sin(p.frameCount * 0.1) > 0;
+            if (blink) {
+                drawOutlinedText(prompts.start, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 + 80);
+            }
+
+            p.textSize(8);
+            p.fill(180, 200, 255);
+            const hint = lastReplay ? "A: settings   B: watch last run" : "A: settings";
+            drawOutlinedText(hint, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 + 100, 1);
+        }
+
+        // Switch the high score table to the one for a set of run rules
+        function showLeaderboardFor(rules) {
+            leaderboardRules = rules;
+            leaderboard = loadLeaderboard(rules);
+        }
+
+        // High score table, top edge at y
+        function drawLeaderboard(top) {
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(16);
+            p.fill(255, 220, 100);
+            drawOutlinedText("HIGH SCORES", SCREEN_WIDTH / 2, top + 8);
+
+            // Which rules this table is for
+            p.textSize(8);
+            p.fill(180, 200, 255);
+            drawOutlinedText(formatRules(leaderboardRules), SCREEN_WIDTH / 2, top + 22, 1);
+
+            if (leaderboard.length === 0) {
+                p.textSize(10);
+                p.fill(200);
+                drawOutlinedText("No scores yet", SCREEN_WIDTH / 2, top + 60, 1);
+                return;
+            }
+
+            // Columns: rank, name, size, seasons, items, time to planet consumption
+            const columns = [38, 78, 132, 186, 236, 290];
+            const headerY = top + 36;
+            p.textSize(8);
+            p.fill(160, 160, 200);
+            const headers = ["#", "NAME", "SIZE", "SEASONS", "ITEMS", "TIME"];
+            for (let c = 0; c < headers.length; c++) {
+                drawOutlinedText(headers[c], columns[c], headerY, 1);
+            }
+
+            p.textSize(10);
+            for (let i = 0; i < leaderboard.length; i++) {
+                const entry = leaderboard[i];
+                const y = headerY + 15 + i * 15;
+
+                if (i === highlightRank) {
+                    const pulse = Math.sin(p.frameCount * 0.15) * 0.3 + 0.7;
+                    p.noStroke();
+                    p.fill(255, 215, 0, 60 * pulse);
+                    p.rect(20, y - 7, SCREEN_WIDTH - 40, 14, 3);
+                    p.fill(255, 230, 100);
+                } else {
+                    p.fill(255);
+                }
+
+                const time = entry.consumedFrames !== null ? formatRunTime(entry.consumedFrames) : "-";
+                const cells = [i + 1, entry.initials, entry.size, entry.seasons, entry.collected, time];
+                for (let c = 0; c < cells.length; c++) {
+                    drawOutlinedText(`${cells[c]}`, columns[c], y, 1);
+                }
+            }
+        }
+
+        function updateInitialsEntry() {
+            const letterIndex = INITIALS_ALPHABET.indexOf(initials[initialsCursor]);
+            const letterCount = INITIALS_ALPHABET.length;
+
+            if (buttons.justPressed("up")) {
+                initials[initialsCursor] = INITIALS_ALPHABET[(letterIndex + 1) % letterCount];
+            } else if (buttons.justPressed("down")) {
+                initials[initialsCursor] = INITIALS_ALPHABET[(letterIndex - 1 + letterCount) % letterCount];
+            } else if (buttons.justPressed("left")) {
+                initialsCursor = Math.max(0, initialsCursor - 1);
+            } else if (buttons.justPressed("right")) {
+                initialsCursor = Math.min(INITIALS_LENGTH - 1, initialsCursor + 1);
+            } else if (buttons.justPressed("a")) {
+                if (initialsCursor < INITIALS_LENGTH - 1) {
+                    initialsCursor++;
+                } else {
+                    // Last letter confirmed - save and move on to the results
+                    pendingEntry.initials = initials.join("");
+                    const result = addLeaderboardEntry(pendingEntry);
+                    leaderboard = result.entries;
+                    highlightRank = result.rank;
+                    pendingEntry = null;
+                    setGameState(resultState);
+                }
+            }
+        }
+
+        function drawInitialsEntryScreen() {
+            drawSpaceBackground();
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(18);
+            p.fill(255, 220, 100);
+            drawOutlinedText("NEW HIGH SCORE!", SCREEN_WIDTH / 2, 50);
+
+            p.textSize(10);
+            p.fill(220);
+            const rank = getLeaderboardRank(pendingEntry, leaderboard);
+            drawOutlinedText(`Rank #${rank + 1}  -  Size ${pendingEntry.size}`, SCREEN_WIDTH / 2, 80, 1);
+
+            // Letter slots with the cursor slot highlighted
+            const slotWidth = 30;
+            const slotGap = 10;
+            const totalWidth = INITIALS_LENGTH * slotWidth + (INITIALS_LENGTH - 1) * slotGap;
+            const startX = SCREEN_WIDTH / 2 - totalWidth / 2;
+            const slotY = 130;
+            const blink = Math.sin(p.frameCount * 0.2) > 0;
+
+            for (let i = 0; i < INITIALS_LENGTH; i++) {
+                const x = startX + i * (slotWidth + slotGap);
+                const isCursor = i === initialsCursor;
+
+                p.noStroke();
+                p.fill(0, 0, 0, 150);
+                p.rect(x, slotY - 20, slotWidth, 40, 4);
+                if (isCursor) {
+                    p.stroke(255, 220, 100);
+                    p.strokeWeight(2);
+                    p.noFill();
+                    p.rect(x, slotY - 20, slotWidth, 40, 4);
+                    p.noStroke();
+                }
+
+                p.textSize(24);
+                p.fill(isCursor ? [255, 255, 150] : [255, 255, 255]);
+                drawOutlinedText(initials[i], x + slotWidth / 2, slotY, 1);
+
+                if (isCursor && blink) {
+                    p.textSize(8);
+                    p.fill(255, 220, 100);
+                    p.text("▲", x + slotWidth / 2, slotY - 28);
+                    p.text("▼", x + slotWidth / 2, slotY + 28);
+                }
+            }
+
+            p.textSize(9);
+            p.fill(200);
+            drawOutlinedText("UP/DOWN letter   LEFT/RIGHT move   A confirm", SCREEN_WIDTH / 2, 200, 1);
+        }
+
+        // End screens alternate with the leaderboard, starting on it when this run placed
+        function isEndLeaderboardPage() {
+            const pageOffset = highlightRank >= 0 ? 1 : 0;
+            return Math.floor(stateFrames / END_PAGE_FRAMES + pageOffset) % 2 === 1;
+        }
+
+        function drawEndLeaderboardScreen() {
+            drawSpaceBackground();
+            drawLeaderboard(20);
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(9);
+            p.fill(150, 120, 180);
+            if (Math.sin(p.frameCount * 0.1) > 0) {
+                drawOutlinedText(prompts.restart, SCREEN_WIDTH / 2, SCREEN_HEIGHT - 18, 1);
+            }
+        }
+
+        function updateGame() {
+            let input;
+            if (replayPlayer) {
+                // START leaves a replay; a recording that ends mid-run also returns to title
+                if (buttons.justPressed("start") || replayPlayer.finished) {
+                    replayPlayer = null;
+                    setGameState(STATE.TITLE);
+                    return;
+                }
+                input = replayPlayer.next();
+            } else {
+                // B brakes during play, so only START pauses
+                if (buttons.justPressed("start")) {
+                    pauseCursor = 0;
+                    setGameState(STATE.PAUSED);
+                    return;
+                }
+
+                // Get input
+                input = {
+                    up: PLAYER_1.DPAD.up,
+                    down: PLAYER_1.DPAD.down,
+                    left: PLAYER_1.DPAD.left,
+                    right: PLAYER_1.DPAD.right,
+                    a: PLAYER_1.A,
+                    b: PLAYER_1.B,
+                };
+                recorder.record(input);
+            }
+
+            simulation.step(input);
+            for (const name of new Set(simulation.events)) {
+                playSound(name);
+            }
+            ghostRecorder?.record(simulation.frame, simulation.player);
+
+            if (simulation.outcome) {
+                finishRun();
+            }
+        }
+
+        function updatePauseMenu() {
+            if (buttons.justPressed("start") || buttons.justPressed("b")) {
+                setGameState(STATE.PLAYING);
+                return;
+            }
+
+            const step = buttons.justPressed("down") ? 1 : buttons.justPressed("up") ? -1 : 0;
+            pauseCursor = (pauseCursor + step + PAUSE_MENU.length) % PAUSE_MENU.length;
+
+            if (!buttons.justPressed("a")) return;
+
+            switch (PAUSE_MENU[pauseCursor].id) {
+                case "resume":
+                    setGameState(STATE.PLAYING);
+                    break;
+                case "restart":
+                    startGame(null, simulation.seed);
+                    break;
+                case "newSeed":
+                    startGame(null, randomSeed());
+                    break;
+                case "settings":
+                    openSettings(STATE.PAUSED);
+                    break;
+                case "quit":
+                    // Abandoned runs are not recorded, ranked or kept as ghosts
+                    recorder = null;
+                    ghostRecorder = null;
+                    setGameState(STATE.TITLE);
+                    break;
+            }
+        }
+
+        function drawPauseMenu() {
+            // Dim the frozen game
+            p.noStroke();
+            p.fill(0, 0, 0, 150);
+            p.rect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+
+            const panelWidth = 160;
+            const rowHeight = 18;
+            const panelHeight = 50 + PAUSE_MENU.length * rowHeight;
+            const panelX = (SCREEN_WIDTH - panelWidth) / 2;
+            const panelY = (SCREEN_HEIGHT - panelHeight) / 2;
+
+            p.fill(20, 15, 40, 220);
+            p.stroke(150, 120, 180);
+            p.strokeWeight(1);
+            p.rect(panelX, panelY, panelWidth, panelHeight, 4);
+            p.noStroke();
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(14);
+            p.fill(255);
+            drawOutlinedText("PAUSED", SCREEN_WIDTH / 2, panelY + 14);
+
+            p.textSize(8);
+            p.fill(150, 120, 180);
+            p.text(`${simulation.worldConfig.name} · Seed ${simulation.seed}`, SCREEN_WIDTH / 2, panelY + 28);
+
+            for (let i = 0; i < PAUSE_MENU.length; i++) {
+                const item = PAUSE_MENU[i];
+                const rowY = panelY + 44 + i * rowHeight;
+                const selected = i === pauseCursor;
+
+                if (selected) {
+                    p.fill(255, 220, 100, 50);
+                    p.rect(panelX + 8, rowY - rowHeight / 2 + 1, panelWidth - 16, rowHeight - 2, 2);
+                }
+
+                p.textSize(10);
+                p.fill(selected ? p.color(255, 220, 100) : 220);
+                p.text(item.label, SCREEN_WIDTH / 2, rowY);
+            }
+        }
+
+        // returnState: TITLE or PAUSED, whichever the settings screen was opened from
+        function openSettings(returnState) {
+            settingsCursor = 0;
+            settingsReturnState = returnState;
+            setGameState(STATE.SETTINGS);
+        }
+
+        function updateSettingsMenu() {
+            // Every change is saved right away, so leaving is just going back
+            if (buttons.justPressed("start") || buttons.justPressed("b")) {
+                setGameState(settingsReturnState);
+                return;
+            }
+
+            const rowStep = buttons.justPressed("down") ? 1 : buttons.justPressed("up") ? -1 : 0;
+            settingsCursor = (settingsCursor + rowStep + SETTINGS_FIELDS.length) % SETTINGS_FIELDS.length;
+
+            const field = SETTINGS_FIELDS[settingsCursor];
+            const valueStep = buttons.justPressed("right") ? 1 : buttons.justPressed("left") ? -1 : 0;
+            let value = settings[field.key];
+            if (valueStep !== 0) {
+                value = stepSetting(field, value, valueStep);
+            } else if (field.key === "seed" && buttons.justPressed("a")) {
+                value = randomSeed();
+            }
+
+            if (value !== settings[field.key]) {
+                settings = { ...settings, [field.key]: value };
+                saveSettings(settings);
+                showLeaderboardFor(getRunRules(settings));
+                setVolume(settings.volume / 10);
+                if (field.key === "volume") {
+                    playSound("collect");
+                }
+            }
+        }
+
+        function drawSettingsMenu() {
+            if (settingsReturnState === STATE.PAUSED) {
+                drawGame();
+                p.noStroke();
+                p.fill(0, 0, 0, 180);
+                p.rect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+            } else {
+                drawSpaceBackground();
+            }
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(16);
+            p.fill(255);
+            drawOutlinedText("SETTINGS", SCREEN_WIDTH / 2, 22);
+
+            const rowHeight = 20;
+            const startY = 52;
+            const labelX = 50;
+            const valueX = 236;
+
+            for (let i = 0; i < SETTINGS_FIELDS.length; i++) {
+                const field = SETTINGS_FIELDS[i];
+                const rowY = startY + i * rowHeight;
+                const selected = i === settingsCursor;
+
+                if (selected) {
+                    p.noStroke();
+                    p.fill(255, 220, 100, 40);
+                    p.rect(labelX - 8, rowY - rowHeight / 2 + 1, SCREEN_WIDTH - (labelX - 8) * 2, rowHeight - 2, 2);
+                }
+
+                p.textSize(10);
+                p.textAlign(p.LEFT, p.CENTER);
+                p.fill(selected ? p.color(255, 220, 100) : 220);
+                p.text(field.label, labelX, rowY);
+
+                p.textAlign(p.CENTER, p.CENTER);
+                const valueText = formatSetting(field, settings[field.key]);
+                p.text(selected ? `◀ ${valueText} ▶` : valueText, valueX, rowY);
+            }
+
+            // Controls and a reminder that run rules don't change mid-run
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(8);
+            p.fill(180, 200, 255);
+            const seedHint = SETTINGS_FIELDS[settingsCursor].key === "seed" ? "   A: random" : "";
+            drawOutlinedText(`UP/DOWN select   LEFT/RIGHT change${seedHint}   B: back`, SCREEN_WIDTH / 2, SCREEN_HEIGHT - 34, 1);
+            p.fill(150, 120, 180);
+            drawOutlinedText("World, season and seed changes apply to the next run", SCREEN_WIDTH / 2, SCREEN_HEIGHT - 18, 1);
+        }
+
+        function finishRun() {
+            // Keep the finished live run so it can be watched or exported
+            if (recorder) {
+                lastReplay = recorder.toReplay(simulation);
+                saveLastReplay(lastReplay);
+                recorder = null;
+            }
+            if (ghostRecorder) {
+                saveGhostIfBest(ghostRecorder.toGhost(simulation.player.size));
+                ghostRecorder = null;
+            }
+
+            runStats = simulation.getCollectionStats();
+            if (simulation.outcome === OUTCOME.PLANET_CONSUMED) {
+                resultState = STATE.PLANET_CONSUMED;
+            } else if (simulation.outcome === OUTCOME.SEASONS_COMPLETE) {
+                resultState = STATE.CYCLE_COMPLETE;
+            }
+
+            // End screens show the table for the rules this run was played with
+            showLeaderboardFor(simulation.getRules());
+
+            // Live runs that make the top 10 get their initials entered first
+            if (!replayPlayer) {
+                const consumed = simulation.outcome === OUTCOME.PLANET_CONSUMED;
+                const entry = createLeaderboardEntry(simulation, consumed);
+                if (getLeaderboardRank(entry, leaderboard) !== -1) {
+                    pendingEntry = entry;
+                    initials = loadLastInitials().split("");
+                    initialsCursor = 0;
+                    setGameState(STATE.ENTER_INITIALS);
+                    return;
+                }
+            }
+
+            setGameState(resultState);
+        }
+
+        function drawGame() {
+            const { world, camera, player } = simulation;
+
+            // Calculate season color blending (transitions 4 seconds before season change)
+            const seasonBlend = simulation.getSeasonColorBlend();
+            const nextSeason = simulation.getNextSeason();
+            const currentSeason = simulation.getCurrentSeason();
+
+            drawSpaceBackground();
+
+            p.push();
+            camera.applyTransform(p);
+
+            if (seasonBlend > 0) {
+                world.draw(p, camera, currentSeason, nextSeason, seasonBlend, player);
+            } else {
+                world.draw(p, camera, currentSeason, null, 0, player);
+            }
+
+            // Sort visible objects by size for depth
+            const visibleObjects = simulation.getVisibleObjects();
+            visibleObjects.sort((a, b) => a.size - b.size);
+
+            // Draw objects at their wrapped positions
+            for (const obj of visibleObjects) {
+                const wrappedPos = camera.getWrappedPosition(obj.x, obj.y);
+                obj.draw(p, wrappedPos.x, wrappedPos.y);
+            }
+
+            // Draw the best-run ghost where it was at this frame (under the player)
+            const ghostState = ghost?.getStateAt(simulation.frame);
+            if (ghostState) {
+                const ghostWrapped = camera.getWrappedPosition(ghostState.x, ghostState.y);
+                ghost.draw(p, ghostWrapped.x, ghostWrapped.y, ghostState.size);
+            }
+
+            // Draw player at wrapped position
+            const playerWrapped = camera.getWrappedPosition(player.x, player.y);
+            player.draw(p, playerWrapped.x, playerWrapped.y);
+
+            // Draw particles (in world space)
+            drawParticlesTo(p);
+
+            p.pop();
+
+            // Dusk, night and dawn, lit around the ball and village buildings
+            drawLighting(playerWrapped, visibleObjects);
+
+            // Weather over the whole view, under the UI
+            drawWeather(playerWrapped);
+
+            // Draw UI (in screen space)
+            drawUI();
+        }
+
+        // Draw particles to a specific graphics context
+        function drawParticlesTo(g) {
+            g.noStroke();
+            for (const part of simulation.particles) {
+                if (part.isRare) {
+                    // Rare particles have a sparkle effect
+                    const sparkle = Math.sin(p.frameCount * 0.3 + part.x * 0.1) * 0.5 + 0.5;
+                    const size = (5 + sparkle * 3) * part.life;
+                    g.fill(part.color[0], part.color[1], part.color[2], part.life * 255);
+                    g.ellipse(part.x, part.y, size, size);
+                    // Add a bright core
+                    g.fill(255, 255, 255, part.life * 200 * sparkle);
+                    g.ellipse(part.x, part.y, size * 0.4, size * 0.4);
+                } else {
+                    g.fill(part.color[0], part.color[1], part.color[2], part.life * 255);
+                    g.ellipse(part.x, part.y, 4 * part.life, 4 * part.life);
+                }
+            }
+        }
+
+        // Tint the view for the time of day and darken it at night (in screen space)
+        // playerWrapped: the player's drawn world position; visibleObjects: objects that may carry a light
+        function drawLighting(playerWrapped, visibleObjects) {
+            const { camera, player } = simulation;
+            const daylight = simulation.getDaylight();
+
+            // Warm light while the sun is low
+            const twilight = 1 - Math.abs(daylight * 2 - 1);
+            if (twilight > 0) {
+                p.noStroke();
+                p.fill(TWILIGHT_COLOR[0], TWILIGHT_COLOR[1], TWILIGHT_COLOR[2], 255 * TWILIGHT_STRENGTH * twilight);
+                p.rect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+            }
+
+            const darkness = (1 - daylight) * NIGHT_DARKNESS;
+            if (darkness <= 0) return;
+
+            if (!lightLayer) {
+                lightLayer = p.createGraphics(SCREEN_WIDTH, SCREEN_HEIGHT);
+            }
+            const context = lightLayer.drawingContext;
+            context.globalCompositeOperation = "source-over";
+            context.clearRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+            context.fillStyle = `rgba(${NIGHT_COLOR[0]}, ${NIGHT_COLOR[1]}, ${NIGHT_COLOR[2]}, ${darkness})`;
+            context.fillRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+
+            // Erase soft-edged holes for each light
+            context.globalCompositeOperation = "destination-out";
+            const cutLight = (worldX, worldY, radius) => {
+                const center = camera.worldToScreen(worldX, worldY);
+                const gradient = context.createRadialGradient(center.x, center.y, radius * 0.3, center.x, center.y, radius);
+                gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+                gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+                context.fillStyle = gradient;
+                context.beginPath();
+                context.arc(center.x, center.y, radius, 0, Math.PI * 2);
+                context.fill();
+            };
+
+            cutLight(playerWrapped.x, playerWrapped.y, player.radius * PLAYER_LIGHT_RADIUS * camera.zoom);
+            for (const obj of visibleObjects) {
+                if (!obj.type.lightRadius) continue;
+                const wrappedPos = camera.getWrappedPosition(obj.x, obj.y);
+                cutLight(wrappedPos.x, wrappedPos.y, obj.size * obj.type.lightRadius * camera.zoom);
+            }
+            context.globalCompositeOperation = "source-over";
+
+            p.image(lightLayer, 0, 0);
+        }
+
+        // Rain, snow and wind particles plus the weather's tint, fog or haze (in screen space)
+        // playerWrapped: the player's drawn world position, which fog stays clear around
+        function drawWeather(playerWrapped) {
+            const { weather, camera } = simulation;
+            const intensity = weather.intensity;
+            if (intensity <= 0) return;
+
+            p.noStroke();
+            if (weather.type === WEATHER.RAIN) {
+                // Overcast
+                p.fill(40, 50, 80, 50 * intensity);
+                p.rect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+            } else if (weather.type === WEATHER.HEAT) {
+                // Warm tint with slow bands of shimmer rising through it
+                p.fill(255, 190, 110, 30 * intensity);
+                p.rect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+                for (let y = 0; y < SCREEN_HEIGHT; y += 12) {
+                    const shimmer = Math.sin(y * 0.15 + p.frameCount * 0.08) * 0.5 + 0.5;
+                    p.fill(255, 240, 210, 22 * intensity * shimmer);
+                    p.rect(0, y, SCREEN_WIDTH, 5);
+                }
+            } else if (weather.type === WEATHER.FOG) {
+                // Clear around the ball, thickening to solid fog past the visible radius
+                const center = camera.worldToScreen(playerWrapped.x, playerWrapped.y);
+                const visible = weather.getVisibility() * Math.max(SCREEN_WIDTH, SCREEN_HEIGHT) * 0.5;
+                const context = p.drawingContext;
+                const gradient = context.createRadialGradient(center.x, center.y, visible * 0.4, center.x, center.y, visible);
+                gradient.addColorStop(0, "rgba(215, 220, 225, 0)");
+                gradient.addColorStop(1, `rgba(215, 220, 225, ${0.92 * intensity})`);
+                context.fillStyle = gradient;
+                context.fillRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+            }
+
+            const particles = weather.getVisibleParticles();
+            if (weather.type === WEATHER.RAIN) {
+                p.stroke(170, 195, 235, 170);
+                p.strokeWeight(1);
+                for (const part of particles) {
+                    p.line(part.x, part.y, part.x - part.vx * 1.5, part.y - part.vy * 1.5);
+                }
+            } else if (weather.type === WEATHER.WIND) {
+                p.stroke(255, 255, 255, 90);
+                p.strokeWeight(1);
+                for (const part of particles) {
+                    p.line(part.x, part.y, part.x - part.vx * 3, part.y - part.vy * 3);
+                }
+            } else if (weather.type === WEATHER.SNOW) {
+                p.fill(255, 255, 255, 220);
+                for (const part of particles) {
+                    p.ellipse(part.x, part.y, part.size * 1.5, part.size * 1.5);
+                }
+            }
+            p.noStroke();
+        }
+
+        function drawUI() {
+            const { world, player } = simulation;
+
+            // Season name badge with progress bar and emoji
+            const badgeWidth = 85;
+            const badgeHeight = 28;
+            p.fill(0, 0, 0, 120);
+            p.noStroke();
+            p.rect(5, 5, badgeWidth, badgeHeight, 3);
+
+            // Season name
+            p.fill(255);
+            p.textSize(11);
+            p.textAlign(p.LEFT, p.TOP);
+            p.text(simulation.getSeasonDisplayName(), 10, 7);
+
+            // Progress bar with seasonal emoji
+            const progress = simulation.getSeasonProgress();
+            const barWidth = badgeWidth - 10;
+            const barHeight = 6;
+            const barX = 10;
+            const barY = 22;
+
+            // Progress bar background
+            p.fill(50, 50, 50, 150);
+            p.rect(barX, barY, barWidth, barHeight, 2);
+
+            // Progress bar fill with season-appropriate color
+            const season = simulation.getCurrentSeason();
+            const barColor = SEASON_COLORS[season];
+            p.fill(barColor[0], barColor[1], barColor[2]);
+            p.rect(barX, barY, barWidth * progress, barHeight, 2);
+
+            // Seasonal emoji sliding along the progress bar
+            const emoji = SEASON_EMOJI[season];
+            const emojiX = barX + barWidth * progress;
+            const emojiY = barY + barHeight / 2;
+            p.textSize(10);
+            p.textAlign(p.CENTER, p.CENTER);
+            p.text(emoji, emojiX, emojiY);
+
+            // Weather beside the season badge
+            const weatherEmoji = WEATHER_EMOJI[simulation.weather.type];
+            if (weatherEmoji) {
+                p.textSize(12);
+                p.text(weatherEmoji, 5 + badgeWidth + 10, 5 + badgeHeight / 2);
+            }
+
+            // Current biome indicator
+            const currentBiome = world.getBiomeAt(player.x, player.y);
+            p.fill(0, 0, 0, 100);
+            p.rect(5, 36, 65, 14, 2);
+            p.fill(200);
+            p.textSize(8);
+            p.textAlign(p.LEFT, p.TOP);
+            p.text(currentBiome.name, 10, 38);
+
+            drawDashMeter(player);
+
+            // Size display (simplified, wider when the ghost delta is shown)
+            const sizeBoxWidth = ghost ? 95 : 60;
+            p.fill(0, 0, 0, 120);
+            p.rect(SCREEN_WIDTH - 5 - sizeBoxWidth, 5, sizeBoxWidth, 18, 3);
+
+            p.fill(255);
+            p.textSize(10);
+            p.textAlign(p.RIGHT, p.TOP);
+            p.text(`${Math.floor(player.size)}`, SCREEN_WIDTH - 10, 8);
+
+            // Size difference vs the best-run ghost at the same moment
+            if (ghost) {
+                const delta = Math.floor(player.size - ghost.getSizeAt(simulation.frame));
+                p.textSize(8);
+                if (delta >= 0) {
+                    p.fill(120, 255, 140);
+                } else {
+                    p.fill(255, 120, 120);
+                }
+                p.text(`${delta >= 0 ? "+" : ""}${delta} 👻`, SCREEN_WIDTH - 40, 10);
+            }
+
+            // Replay badge so recorded runs aren't mistaken for live play
+            if (replayPlayer) {
+                const blink = Math.sin(p.frameCount * 0.1) > 0;
+                p.fill(0, 0, 0, 120);
+                p.rect(SCREEN_WIDTH - 65, 26, 60, 14, 3);
+                p.fill(255, 80, 80, blink ? 255 : 120);
+                p.textSize(8);
+                p.text("● REPLAY", SCREEN_WIDTH - 10, 29);
+            }
+
+            // Pickup notifications (bottom right, above minimap area)
+            if (settings.notifications !== "off") {
+                drawPickupNotifications();
+            }
+
+            // Mini-map (square, player-centered, scales with player size)
+            if (settings.minimap) {
+                const mapSize = 50;
+                const mapX = 5;
+                const mapY = SCREEN_HEIGHT - mapSize - 5;
+
+                // Pass season blending parameters so minimap transitions match terrain
+                const seasonBlend = simulation.getSeasonColorBlend();
+                const nextSeason = simulation.getNextSeason();
+                world.drawMiniMap(p, mapX, mapY, mapSize, player, season, nextSeason, seasonBlend);
+            }
+        }
+
+        // Dash meter under the biome indicator: charge while A is held, then the cooldown refilling
+        function drawDashMeter(player) {
+            const x = 5;
+            const y = 53;
+            const barX = x + 14;
+            const barWidth = 46;
+
+            p.fill(0, 0, 0, 100);
+            p.rect(x, y, 65, 12, 2);
+            p.fill(50, 50, 50, 150);
+            p.rect(barX, y + 4, barWidth, 4, 2);
+
+            const readiness = player.getDashReadiness();
+            if (readiness < 1) {
+                p.fill(120, 120, 140);
+                p.rect(barX, y + 4, barWidth * readiness, 4, 2);
+            } else if (player.dashCharge > 0) {
+                const charge = player.getDashCharge();
+                p.fill(255, 200 - charge * 120, 60);
+                p.rect(barX, y + 4, barWidth * charge, 4, 2);
+            } else {
+                p.fill(120, 220, 255);
+                p.rect(barX, y + 4, barWidth, 4, 2);
+            }
+
+            p.fill(255, readiness < 1 ? 120 : 255);
+            p.textSize(8);
+            p.textAlign(p.LEFT, p.TOP);
+            p.text("💨", x + 3, y + 1);
+        }
+
+        function drawPickupNotifications() {
+            const startY = SCREEN_HEIGHT - 60;
+            const x = SCREEN_WIDTH - 5;
+
+            const pickupNotifications = settings.notifications === "rare"
+                ? simulation.pickupNotifications.filter(n => n.isRare)
+                : simulation.pickupNotifications;
+            for (let i = 0; i < pickupNotifications.length; i++) {
+                const notif = pickupNotifications[i];
+                const targetY = startY - i * 18;
+
+                // Animate y position
+                notif.y += (targetY - notif.y) * 0.2;
+
+                // Fade out near end
+                const alpha = notif.timer > 30 ? 255 : (notif.timer / 30) * 255;
+
+                // Measure actual text width
+                p.textSize(9);
+                const notifText = notif.isRare
+                    ? `${notif.emoji} ${notif.name} x${notif.count}`
+                    : `${notif.emoji} ${notif.name} x${notif.count}`;
+                const measuredWidth = p.textWidth(notifText);
+
+                const padding = 8;
+                const bgX = x - measuredWidth - padding;
+                const bgY = notif.y - 6;
+                const bgW = measuredWidth + padding;
+                const bgH = 16;
+
+                if (notif.isRare) {
+                    // Golden glowing background for rare items
+                    const pulse = Math.sin(p.frameCount * 0.15) * 0.3 + 0.7;
+
+                    // Outer glow
+                    p.noStroke();
+                    p.fill(255, 200, 50, alpha * 0.2 * pulse);
+                    p.rect(bgX - 2, bgY - 2, bgW + 4, bgH + 4, 5);
+
+                    // Golden background
+                    p.fill(80, 60, 0, alpha * 0.8);
+                    p.rect(bgX, bgY, bgW, bgH, 3);
+
+                    // Golden border
+                    p.stroke(255, 215, 0, alpha * pulse);
+                    p.strokeWeight(1);
+                    p.noFill();
+                    p.rect(bgX, bgY, bgW, bgH, 3);
+
+                    // Golden text
+                    p.noStroke();
+                    p.fill(255, 230, 100, alpha);
+                    p.textAlign(p.RIGHT, p.TOP);
+                    p.text(notifText, x - 5, notif.y - 4);
+                } else {
+                    // Normal notification
+                    p.fill(0, 0, 0, alpha * 0.5);
+                    p.noStroke();
+                    p.rect(bgX, bgY, bgW, bgH, 3);
+
+                    // Text
+                    p.fill(255, 255, 255, alpha);
+                    p.textAlign(p.RIGHT, p.TOP);
+                    p.text(notifText, x - 5, notif.y - 4);
+                }
+            }
+        }
+
+        function drawPlanetConsumedScreen() {
+            // Use shared space background
+            drawSpaceBackground();
+
+            const time = p.frameCount * 0.02;
+
+            // Draw swirling void/black hole effect
+            p.push();
+            p.translate(SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2);
+
+            // Accretion disk rings being sucked in
+            for (let ring = 0; ring < 8; ring++) {
+                const ringRadius = 120 - ring * 12 + Math.sin(time + ring) * 5;
+                const alpha = 150 - ring * 15;
+                const hue = (ring * 30 + p.frameCount) % 360;
+
+                p.colorMode(p.HSB);
+                p.noFill();
+                p.strokeWeight(3 - ring * 0.3);
+                p.stroke(hue, 80, 80, alpha / 255);
+
+                // Draw distorted ellipse (sucked toward center)
+                p.beginShape();
+                for (let angle = 0; angle < Math.PI * 2; angle += 0.1) {
+                    const distortion = 1 + Math.sin(angle * 3 + time * 2) * 0.1;
+                    const r = ringRadius * distortion;
+                    const x = Math.cos(angle + time * (0.5 + ring * 0.1)) * r;
+                    const y = Math.sin(angle + time * (0.5 + ring * 0.1)) * r * 0.6;
+                    p.vertex(x, y);
+                }
+                p.endShape(p.CLOSE);
+                p.colorMode(p.RGB);
+            }
+
+            // Central black hole (player)
+            p.noStroke();
+            p.fill(0, 0, 0);
+            p.ellipse(0, 0, 60, 60);
+
+            // Event horizon glow
+            for (let i = 3; i > 0; i--) {
+                p.fill(100, 50, 150, 30);
+                p.ellipse(0, 0, 60 + i * 15, 60 + i * 15);
+            }
+
+            // Gravitational lensing effect - bright ring at event horizon
+            p.noFill();
+            p.strokeWeight(2);
+            p.stroke(200, 150, 255, 200);
+            p.ellipse(0, 0, 65, 65);
+
+            p.pop();
+
+            // Scattered stars being pulled in
+            p.noStroke();
+            for (let i = 0; i < 30; i++) {
+                const starAngle = (i * 137.5 + time * 20) * Math.PI / 180;
+                const starDist = 80 + (i * 7 + time * 30) % 150;
+                const starX = SCREEN_WIDTH / 2 + Math.cos(starAngle) * starDist;
+                const starY = SCREEN_HEIGHT / 2 + Math.sin(starAngle) * starDist * 0.7;
+                const starAlpha = Math.max(0, 255 - starDist);
+
+                p.fill(255, 255, 200, starAlpha);
+                p.ellipse(starX, starY, 2, 2);
+            }
+
+            // Text with highlighted phrases
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(11);
+
+            // "You grew too big and consumed the planet."
+            // Measure text widths for positioning
+            const line1Y = SCREEN_HEIGHT / 2 + 80;
+            const line1Parts = ["You grew ", "too big", " and consumed the planet."];
+            p.fill(180, 150, 200);
+            const w1 = p.textWidth(line1Parts[0]);
+            const w2 = p.textWidth(line1Parts[1]);
+            const w3 = p.textWidth(line1Parts[2]);
+            const totalW1 = w1 + w2 + w3;
+            let xPos = SCREEN_WIDTH / 2 - totalW1 / 2;
+
+            p.textAlign(p.LEFT, p.CENTER);
+            p.fill(180, 150, 200);
+            drawOutlinedText(line1Parts[0], xPos, line1Y, 1);
+            xPos += w1;
+            p.fill(255, 100, 150); // Highlight "too big"
+            drawOutlinedText(line1Parts[1], xPos, line1Y, 1);
+            xPos += w2;
+            p.fill(180, 150, 200);
+            drawOutlinedText(line1Parts[2], xPos, line1Y, 1);
+
+            // "Finally, the cycle of seasons is over."
+            const line2Y = SCREEN_HEIGHT / 2 + 100;
+            const line2Parts = ["Finally, the cycle of ", "seasons", " is over."];
+            const w4 = p.textWidth(line2Parts[0]);
+            const w5 = p.textWidth(line2Parts[1]);
+            const w6 = p.textWidth(line2Parts[2]);
+            const totalW2 = w4 + w5 + w6;
+            xPos = SCREEN_WIDTH / 2 - totalW2 / 2;
+
+            p.fill(180, 150, 200);
+            drawOutlinedText(line2Parts[0], xPos, line2Y, 1);
+            xPos += w4;
+            p.fill(100, 200, 255); // Highlight "seasons"
+            drawOutlinedText(line2Parts[1], xPos, line2Y, 1);
+            xPos += w5;
+            p.fill(180, 150, 200);
+            drawOutlinedText(line2Parts[2], xPos, line2Y, 1);
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(10);
+            p.fill(150, 100, 180);
+            drawOutlinedText(`Final size: ${Math.floor(simulation.player.size)}`, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 + 125, 1);
+
+            p.textSize(9);
+            p.fill(150, 120, 180);
+            const blink = Math.sin(p.frameCount * 0.1) > 0;
+            if (blink) {
+                drawOutlinedText(prompts.restart, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2 + 145, 1);
+            }
+        }
+
+        // Results for a run that lasted every season without consuming the planet
+        function drawCycleCompleteScreen() {
+            drawSpaceBackground();
+
+            const { biggest, byBiome, bySeason } = runStats;
+            const size = Math.floor(simulation.player.size);
+            const grade = RUN_GRADES.find(g => size >= g.minSize);
+
+            // Heading
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(16);
+            p.fill(100, 200, 255);
+            drawOutlinedText("CYCLE COMPLETE", SCREEN_WIDTH / 2, 16);
+            p.textSize(9);
+            p.fill(180, 150, 200);
+            drawOutlinedText("The seasons have run their course.", SCREEN_WIDTH / 2, 33, 1);
+
+            // Grade badge
+            p.noStroke();
+            p.fill(0, 0, 0, 120);
+            p.rect(10, 46, 50, 54, 3);
+            p.rect(66, 46, 124, 54, 3);
+            p.rect(196, 46, 130, 54, 3);
+
+            p.textSize(8);
+            p.fill(180);
+            p.text("RANK", 35, 54);
+            p.textSize(30);
+            p.fill(...grade.color);
+            drawOutlinedText(grade.grade, 35, 78);
+
+            // Final size, item count and leaderboard placement
+            p.textAlign(p.LEFT, p.CENTER);
+            p.textSize(11);
+            p.fill(255);
+            p.text(`Final size: ${size}`, 72, 56);
+            p.textSize(9);
+            p.fill(200);
+            p.text(`Collected: ${simulation.collectedCount} items`, 72, 72);
+            if (highlightRank >= 0) {
+                p.fill(255, 220, 100);
+                p.text(`Leaderboard: #${highlightRank + 1}`, 72, 88);
+            } else {
+                p.fill(150);
+                p.text("Leaderboard: -", 72, 88);
+            }
+
+            // Biggest object rolled up
+            p.textSize(8);
+            p.fill(180);
+            p.text("BIGGEST ROLL", 202, 54);
+            if (biggest) {
+                p.textSize(22);
+                p.fill(255);
+                p.text(biggest.emoji, 202, 78);
+                p.textSize(9);
+                p.text(biggest.name, 232, 72);
+                p.fill(200);
+                p.text(`size ${Math.floor(biggest.size)}`, 232, 86);
+            } else {
+                p.textSize(9);
+                p.fill(150);
+                p.text("Nothing collected", 202, 76);
+            }
+
+            drawSeasonBreakdown(bySeason, 10, 108, 150, 126);
+            drawBiomeBreakdown(byBiome, 166, 108, 160, 126);
+
+            p.textAlign(p.CENTER, p.CENTER);
+            p.textSize(9);
+            p.fill(150, 120, 180);
+            if (Math.sin(p.frameCount * 0.1) > 0) {
+                drawOutlinedText(prompts.restart, SCREEN_WIDTH / 2, SCREEN_HEIGHT - 14, 1);
+            }
+        }
+
+        // Column chart of items collected in each season of the run
+        function drawSeasonBreakdown(bySeason, x, y, w, h) {
+            p.noStroke();
+            p.fill(0, 0, 0, 120);
+            p.rect(x, y, w, h, 3);
+
+            p.textAlign(p.LEFT, p.CENTER);
+            p.textSize(8);
+            p.fill(180);
+            p.text("BY SEASON", x + 6, y + 8);
+
+            const maxCount = Math.max(1, ...bySeason);
+            const columnWidth = (w - 12) / bySeason.length;
+            const chartBottom = y + h - 16;
+            const chartHeight = h - 42;
+
+            p.textAlign(p.CENTER, p.CENTER);
+            for (let i = 0; i < bySeason.length; i++) {
+                const season = SEASON_CYCLE[i % 4];
+                const cx = x + 6 + columnWidth * (i + 0.5);
+                const barHeight = (bySeason[i] / maxCount) * chartHeight;
+
+                p.fill(...SEASON_COLORS[season]);
+                p.rect(cx - columnWidth / 2 + 2, chartBottom - barHeight, columnWidth - 4, barHeight, 1);
+
+                // Counts only fit above the columns of shorter cycles
+                if (columnWidth >= 10) {
+                    p.textSize(7);
+                    p.fill(220);
+                    p.text(bySeason[i], cx, chartBottom - barHeight - 6);
+                }
+                p.textSize(8);
+                p.text(SEASON_EMOJI[season], cx, chartBottom + 8);
+            }
+        }
+
+        // Bar list of items collected per biome, most first
+        function drawBiomeBreakdown(byBiome, x, y, w, h) {
+            p.noStroke();
+            p.fill(0, 0, 0, 120);
+            p.rect(x, y, w, h, 3);
+
+            p.textAlign(p.LEFT, p.CENTER);
+            p.textSize(8);
+            p.fill(180);
+            p.text("BY BIOME", x + 6, y + 8);
+
+            const rows = Object.entries(byBiome).sort((a, b) => b[1] - a[1]);
+            if (rows.length === 0) {
+                p.fill(150);
+                p.text("-", x + 6, y + 24);
+                return;
+            }
+
+            const maxCount = rows[0][1];
+            const rowHeight = Math.min(12, (h - 20) / rows.length);
+            const barX = x + 62;
+            const barMaxWidth = w - 90;
+
+            for (let i = 0; i < rows.length; i++) {
+                const [biomeId, count] = rows[i];
+                const biome = BIOMES[biomeId];
+                const rowY = y + 22 + i * rowHeight;
+
+                p.textSize(8);
+                p.fill(220);
+                p.text(biome ? biome.name : biomeId, x + 6, rowY);
+
+                p.fill(...(biome ? biome.colors.summer : [150, 150, 150]));
+                p.rect(barX, rowY - 3, Math.max(2, (count / maxCount) * barMaxWidth), 6, 1);
+
+                p.fill(220);
+                p.text(count, barX + barMaxWidth + 4, rowY);
+            }
+        }
+    };
+
+    return {
+        sketch,
+        playReplay: (replay) => startReplay?.(replay),
+    };
+}
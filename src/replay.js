@@ -0,0 +1,157 @@
+// Input recording and replay playback
+// A replay is the run seed and rules plus the per-frame input fed into GameSimulation.step()
+// Since the simulation is fully seeded, that's enough to reproduce a run exactly
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { WORLD_PRESETS } from "./worldConfig.js";
+
+// Bump whenever the simulation plays out differently for the same input: older replays would desync,
+// so they're rejected (ghosts carry the version too)
+export const REPLAY_VERSION = 2;
+
+// Bit order for packing one frame of input into an integer
+const INPUT_BITS = ["up", "down", "left", "right", "a", "b"];
+
+const LAST_REPLAY_KEY = "lastReplay";
+
+export function encodeInput(input) {
+    let mask = 0;
+    for (let i = 0; i < INPUT_BITS.length; i++) {
+        if (input[INPUT_BITS[i]]) mask |= 1 << i;
+    }
+    return mask;
+}
+
+export function decodeInput(mask) {
+    const input = {};
+    for (let i = 0; i < INPUT_BITS.length; i++) {
+        input[INPUT_BITS[i]] = (mask & (1 << i)) !== 0;
+    }
+    return input;
+}
+
+// Records per-frame input as run-length encoded [mask, count, mask, count, ...]
+// Held D-pad directions compress to a handful of numbers per second of play
+// rules: { seasonDuration, totalSeasons, worldPreset } the run was played with
+export class InputRecorder {
+    constructor(seed, rules) {
+        this.seed = seed;
+        this.rules = rules;
+        this.runs = [];
+        this.frameCount = 0;
+    }
+
+    record(input) {
+        const mask = encodeInput(input);
+        const last = this.runs.length - 2;
+        if (last >= 0 && this.runs[last] === mask) {
+            this.runs[last + 1]++;
+        } else {
+            this.runs.push(mask, 1);
+        }
+        this.frameCount++;
+    }
+
+    // Build the replay, with an optional result summary for bug reports and sharing
+    toReplay(simulation = null) {
+        const replay = {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            rules: { ...this.rules },
+            frameCount: this.frameCount,
+            inputs: this.runs.slice(),
+        };
+        if (simulation) {
+            replay.result = {
+                size: simulation.player.size,
+                collected: simulation.collectedCount,
+                outcome: simulation.outcome,
+            };
+        }
+        return replay;
+    }
+}
+
+// Feeds a recorded replay back one frame at a time
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.runIndex = 0;
+        this.runFrame = 0;
+        this.frame = 0;
+    }
+
+    get finished() {
+        return this.frame >= this.replay.frameCount;
+    }
+
+    // Input for the next frame (all released once the recording runs out)
+    next() {
+        const inputs = this.replay.inputs;
+        if (this.finished || this.runIndex >= inputs.length) {
+            return decodeInput(0);
+        }
+
+        const input = decodeInput(inputs[this.runIndex]);
+        this.frame++;
+        this.runFrame++;
+        if (this.runFrame >= inputs[this.runIndex + 1]) {
+            this.runIndex += 2;
+            this.runFrame = 0;
+        }
+        return input;
+    }
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parse and validate a replay file, throwing if it can't be played back
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay?.version}`);
+    }
+    if (!Number.isFinite(replay.seed)) {
+        throw new Error("Replay is missing its seed");
+    }
+    const { seasonDuration, totalSeasons, worldPreset } = replay.rules ?? {};
+    if (!(Number.isInteger(seasonDuration) && seasonDuration > 0 &&
+          Number.isInteger(totalSeasons) && totalSeasons > 0)) {
+        throw new Error("Replay rules are malformed");
+    }
+    if (!Object.hasOwn(WORLD_PRESETS, worldPreset)) {
+        throw new Error(`Replay uses an unknown world: ${worldPreset}`);
+    }
+    if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0) {
+        throw new Error("Replay inputs are malformed");
+    }
+
+    let frames = 0;
+    for (let i = 1; i < replay.inputs.length; i += 2) {
+        frames += replay.inputs[i];
+    }
+    if (frames !== replay.frameCount) {
+        throw new Error(`Replay frame count mismatch: ${frames} != ${replay.frameCount}`);
+    }
+
+    return replay;
+}
+
+// The most recent finished run, kept so it can be watched from the title screen
+export function loadLastReplay() {
+    const stored = loadJSON(LAST_REPLAY_KEY);
+    if (!stored) return null;
+    try {
+        return parseReplay(JSON.stringify(stored));
+    } catch (err) {
+        console.warn("Ignoring stored replay:", err);
+        return null;
+    }
+}
+
+export function saveLastReplay(replay) {
+    return saveJSON(LAST_REPLAY_KEY, replay);
+}
@@ -0,0 +1,445 @@
+// Road network connecting village cores, laid out once per world
+// Village clusters are found on a coarse grid of biomes, then joined nearest pair first with A*
+// over per-biome travel costs; later roads are drawn onto earlier ones so the network shares trunks
+// Roads are stamped into a per-tile grid for the biome map and kept as polylines to spawn along
+
+import { wrappedDelta } from "./wrapping.js";
+
+// Tiles per side of a pathfinding cell
+const CELL_TILES = 4;
+
+// Cost of crossing a cell of each biome; biomes missing here (ocean, channels, lakes) can't be crossed
+const TRAVEL_COST = {
+    village: 0.8,
+    meadow: 1,
+    farmland: 1,
+    orchard: 1.2,
+    beach: 1.5,
+    forest: 2,
+    wetland: 3,
+    hills: 4,
+    river: 6, // Bridges only where there's no way around
+};
+
+// Cost of a cell an earlier road already runs through
+const ROAD_REUSE_COST = 0.4;
+
+// Village clusters smaller than this many cells are left off the network
+const MIN_VILLAGE_CELLS = 2;
+
+// Road half-width in tiles
+const ROAD_HALF_WIDTH = 0.9;
+
+// Rounds of corner cutting that smooth the grid path into curves
+const SMOOTHING_PASSES = 2;
+
+const NEIGHBOR_OFFSETS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1],
+];
+
+// Minimal binary min-heap of cell indices for A*
+class CellHeap {
+    constructor() {
+        this.cells = [];
+        this.keys = [];
+    }
+
+    get size() {
+        return this.cells.length;
+    }
+
+    push(cell, key) {
+        let i = this.cells.length;
+        this.cells.push(cell);
+        this.keys.push(key);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.cells[i] = this.cells[parent];
+            this.keys[i] = this.keys[parent];
+            i = parent;
+        }
+        this.cells[i] = cell;
+        this.keys[i] = key;
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const lastCell = this.cells.pop();
+        const lastKey = this.keys.pop();
+        const count = this.cells.length;
+        if (count > 0) {
+            let i = 0;
+            for (;;) {
+                let child = i * 2 + 1;
+                if (child >= count) break;
+                if (child + 1 < count && this.keys[child + 1] < this.keys[child]) child++;
+                if (this.keys[child] >= lastKey) break;
+                this.cells[i] = this.cells[child];
+                this.keys[i] = this.keys[child];
+                i = child;
+            }
+            this.cells[i] = lastCell;
+            this.keys[i] = lastKey;
+        }
+        return top;
+    }
+}
+
+export class RoadNetwork {
+    // worldWidth/worldHeight: world size in world units (not a whole number of tiles), for wrapping
+    // tilesX/tilesY: size of the biome tile grid; tileSize: world units per tile
+    // maxLevel: coarsest biome mip level, which gets an "any road in this cell" grid too
+    // sampleBiome(x, y): biome at a world position, before roads
+    constructor(worldWidth, worldHeight, tilesX, tilesY, tileSize, maxLevel, sampleBiome) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.tilesX = tilesX;
+        this.tilesY = tilesY;
+        this.tileSize = tileSize;
+        this.roads = []; // { points: [{ x, y }], lengths: cumulative distance at each point } in world units
+
+        this.cellsX = Math.ceil(tilesX / CELL_TILES);
+        this.cellsY = Math.ceil(tilesY / CELL_TILES);
+        const cellCount = this.cellsX * this.cellsY;
+        this.cost = new Float32Array(cellCount);
+        this.isVillage = new Uint8Array(cellCount);
+
+        for (let cy = 0; cy < this.cellsY; cy++) {
+            for (let cx = 0; cx < this.cellsX; cx++) {
+                const cell = cy * this.cellsX + cx;
+                const biome = sampleBiome((cx + 0.5) * CELL_TILES * tileSize, (cy + 0.5) * CELL_TILES * tileSize);
+                this.cost[cell] = TRAVEL_COST[biome.id] ?? Infinity;
+                this.isVillage[cell] = biome.id === "village" ? 1 : 0;
+            }
+        }
+
+        // levels[0] is the tile grid; level L cells cover 2^L x 2^L tiles like the biome mip levels
+        this.levels = [{ cellsX: tilesX, cellsY: tilesY, grid: new Uint8Array(tilesX * tilesY) }];
+        this.connectVillages(this.findVillageCores());
+        this.buildLevels(maxLevel);
+
+        // Only the stamped grids and polylines are needed once the roads are laid
+        this.cost = null;
+        this.isVillage = null;
+    }
+
+    // Whether a tile has road on it
+    isRoadAt(tx, ty) {
+        return this.levels[0].grid[ty * this.tilesX + tx] === 1;
+    }
+
+    // Whether any tile of a mip level cell has road on it
+    isRoadInCell(level, cx, cy) {
+        const store = this.levels[level];
+        return store.grid[cy * store.cellsX + cx] === 1;
+    }
+
+    // The road closest to a world position within maxDistance, as { road, along } where along is
+    // the distance along the road to the closest point, or null if no road is that close
+    getNearestRoad(x, y, maxDistance) {
+        const { worldWidth, worldHeight } = this;
+        let nearest = null;
+        let nearestDistSq = maxDistance * maxDistance;
+
+        for (const road of this.roads) {
+            const { points, lengths } = road;
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                const segX = b.x - a.x;
+                const segY = b.y - a.y;
+                const segLengthSq = segX * segX + segY * segY;
+
+                // Measure from the segment start across the world edge when that's shorter
+                const offsetX = wrappedDelta(a.x, x, worldWidth);
+                const offsetY = wrappedDelta(a.y, y, worldHeight);
+                const t = segLengthSq > 0
+                    ? Math.max(0, Math.min(1, (offsetX * segX + offsetY * segY) / segLengthSq))
+                    : 0;
+                const dx = segX * t - offsetX;
+                const dy = segY * t - offsetY;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < nearestDistSq) {
+                    nearestDistSq = distSq;
+                    nearest = { road, along: lengths[i - 1] + (lengths[i] - lengths[i - 1]) * t };
+                }
+            }
+        }
+
+        return nearest;
+    }
+
+    // Position and unit direction at a distance along a road, or null past either end
+    getPointAlong(road, along) {
+        const { points, lengths } = road;
+        if (along < 0 || along > lengths[lengths.length - 1]) return null;
+
+        // Binary search for the segment containing the distance
+        let lo = 1;
+        let hi = points.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (lengths[mid] < along) lo = mid + 1;
+            else hi = mid;
+        }
+
+        const a = points[lo - 1];
+        const b = points[lo];
+        const segLength = lengths[lo] - lengths[lo - 1];
+        const t = segLength > 0 ? (along - lengths[lo - 1]) / segLength : 0;
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            dirX: segLength > 0 ? (b.x - a.x) / segLength : 1,
+            dirY: segLength > 0 ? (b.y - a.y) / segLength : 0,
+        };
+    }
+
+    // One cell per village cluster: the member closest to the cluster's middle
+    findVillageCores() {
+        const cores = [];
+        const seen = new Uint8Array(this.isVillage.length);
+
+        for (let start = 0; start < this.isVillage.length; start++) {
+            if (!this.isVillage[start] || seen[start]) continue;
+
+            const cluster = [];
+            const stack = [start];
+            seen[start] = 1;
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                cluster.push(cell);
+                this.forEachNeighbor(cell, neighbor => {
+                    if (this.isVillage[neighbor] && !seen[neighbor]) {
+                        seen[neighbor] = 1;
+                        stack.push(neighbor);
+                    }
+                });
+            }
+            if (cluster.length < MIN_VILLAGE_CELLS) continue;
+
+            let sumX = 0;
+            let sumY = 0;
+            for (const cell of cluster) {
+                sumX += cell % this.cellsX;
+                sumY += Math.floor(cell / this.cellsX);
+            }
+            const midX = sumX / cluster.length;
+            const midY = sumY / cluster.length;
+
+            let core = cluster[0];
+            let coreDistSq = Infinity;
+            for (const cell of cluster) {
+                const dx = cell % this.cellsX - midX;
+                const dy = Math.floor(cell / this.cellsX) - midY;
+                if (dx * dx + dy * dy < coreDistSq) {
+                    coreDistSq = dx * dx + dy * dy;
+                    core = cell;
+                }
+            }
+            cores.push(core);
+        }
+
+        return cores;
+    }
+
+    // Join every village to the rest of its landmass, nearest pairs first (Kruskal over straight-line distance)
+    connectVillages(cores) {
+        const landmass = this.labelLandmasses();
+        const group = cores.map((_, i) => i); // Union-find parents over cores
+        const findGroup = i => {
+            while (group[i] !== i) {
+                group[i] = group[group[i]];
+                i = group[i];
+            }
+            return i;
+        };
+
+        const pairs = [];
+        for (let i = 0; i < cores.length; i++) {
+            for (let j = i + 1; j < cores.length; j++) {
+                // Villages on separate islands can't be joined by road
+                if (landmass[cores[i]] !== landmass[cores[j]]) continue;
+                const dx = cores[i] % this.cellsX - cores[j] % this.cellsX;
+                const dy = Math.floor(cores[i] / this.cellsX) - Math.floor(cores[j] / this.cellsX);
+                pairs.push({ i, j, distSq: dx * dx + dy * dy });
+            }
+        }
+        pairs.sort((a, b) => a.distSq - b.distSq);
+
+        for (const { i, j } of pairs) {
+            const groupI = findGroup(i);
+            const groupJ = findGroup(j);
+            if (groupI === groupJ) continue;
+
+            const path = this.findPath(cores[i], cores[j]);
+            if (!path) continue;
+
+            group[groupI] = groupJ;
+            for (const cell of path) {
+                this.cost[cell] = Math.min(this.cost[cell], ROAD_REUSE_COST);
+            }
+            this.layRoad(path);
+        }
+    }
+
+    // Connected regions of passable cells, numbered from 1 (0 = impassable)
+    labelLandmasses() {
+        const labels = new Uint16Array(this.cost.length);
+        let next = 0;
+
+        for (let start = 0; start < this.cost.length; start++) {
+            if (labels[start] || this.cost[start] === Infinity) continue;
+
+            next++;
+            const stack = [start];
+            labels[start] = next;
+            while (stack.length > 0) {
+                this.forEachNeighbor(stack.pop(), neighbor => {
+                    if (!labels[neighbor] && this.cost[neighbor] !== Infinity) {
+                        labels[neighbor] = next;
+                        stack.push(neighbor);
+                    }
+                });
+            }
+        }
+
+        return labels;
+    }
+
+    forEachNeighbor(cell, callback) {
+        const cx = cell % this.cellsX;
+        const cy = Math.floor(cell / this.cellsX);
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (nx < 0 || ny < 0 || nx >= this.cellsX || ny >= this.cellsY) continue;
+            callback(ny * this.cellsX + nx, dx !== 0 && dy !== 0);
+        }
+    }
+
+    // Cheapest path between two cells (A*), as a list of cells from start to goal, or null
+    findPath(start, goal) {
+        const goalX = goal % this.cellsX;
+        const goalY = Math.floor(goal / this.cellsX);
+
+        // Octile distance at the cheapest cost any cell can have, so the estimate never overshoots
+        const estimate = cell => {
+            const dx = Math.abs(cell % this.cellsX - goalX);
+            const dy = Math.abs(Math.floor(cell / this.cellsX) - goalY);
+            return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * ROAD_REUSE_COST;
+        };
+
+        const costSoFar = new Float64Array(this.cost.length).fill(Infinity);
+        const cameFrom = new Int32Array(this.cost.length).fill(-1);
+        const open = new CellHeap();
+        costSoFar[start] = 0;
+        open.push(start, estimate(start));
+
+        while (open.size > 0) {
+            const cell = open.pop();
+            if (cell === goal) {
+                const path = [goal];
+                while (path[path.length - 1] !== start) path.push(cameFrom[path[path.length - 1]]);
+                return path.reverse();
+            }
+
+            this.forEachNeighbor(cell, (neighbor, diagonal) => {
+                const stepCost = this.cost[neighbor] * (diagonal ? Math.SQRT2 : 1);
+                const total = costSoFar[cell] + stepCost;
+                if (total < costSoFar[neighbor]) {
+                    costSoFar[neighbor] = total;
+                    cameFrom[neighbor] = cell;
+                    open.push(neighbor, total + estimate(neighbor));
+                }
+            });
+        }
+
+        return null;
+    }
+
+    // Smooth a cell path into a polyline, stamp it into the tile grid and keep it for spawning
+    layRoad(path) {
+        // Cell centers in tile units
+        let points = path.map(cell => ({
+            x: (cell % this.cellsX + 0.5) * CELL_TILES,
+            y: (Math.floor(cell / this.cellsX) + 0.5) * CELL_TILES,
+        }));
+
+        // Chaikin corner cutting, keeping both ends where they are
+        for (let pass = 0; pass < SMOOTHING_PASSES && points.length > 2; pass++) {
+            const smoothed = [points[0]];
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                smoothed.push({ x: a.x * 0.75 + b.x * 0.25, y: a.y * 0.75 + b.y * 0.25 });
+                smoothed.push({ x: a.x * 0.25 + b.x * 0.75, y: a.y * 0.25 + b.y * 0.75 });
+            }
+            smoothed.push(points[points.length - 1]);
+            points = smoothed;
+        }
+
+        // Discs every half tile along each segment
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) * 2));
+            for (let step = 0; step <= steps; step++) {
+                const t = step / steps;
+                this.stampDisc(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+            }
+        }
+
+        const worldPoints = points.map(point => ({ x: point.x * this.tileSize, y: point.y * this.tileSize }));
+        const lengths = [0];
+        for (let i = 1; i < worldPoints.length; i++) {
+            const a = worldPoints[i - 1];
+            const b = worldPoints[i];
+            lengths.push(lengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        this.roads.push({ points: worldPoints, lengths });
+    }
+
+    // Mark tiles whose centers fall inside a road-width disc (tile units)
+    stampDisc(x, y) {
+        const { grid } = this.levels[0];
+        const minX = Math.max(0, Math.floor(x - ROAD_HALF_WIDTH));
+        const maxX = Math.min(this.tilesX - 1, Math.ceil(x + ROAD_HALF_WIDTH));
+        const minY = Math.max(0, Math.floor(y - ROAD_HALF_WIDTH));
+        const maxY = Math.min(this.tilesY - 1, Math.ceil(y + ROAD_HALF_WIDTH));
+
+        for (let ty = minY; ty <= maxY; ty++) {
+            for (let tx = minX; tx <= maxX; tx++) {
+                const dx = tx + 0.5 - x;
+                const dy = ty + 0.5 - y;
+                if (dx * dx + dy * dy <= ROAD_HALF_WIDTH * ROAD_HALF_WIDTH) {
+                    grid[ty * this.tilesX + tx] = 1;
+                }
+            }
+        }
+    }
+
+    // Each coarser level marks a cell if any of the 2x2 cells under it has road,
+    // so roads stay visible as thin lines when the terrain is drawn from coarse levels
+    buildLevels(maxLevel) {
+        for (let level = 1; level <= maxLevel; level++) {
+            const finer = this.levels[level - 1];
+            const cellsX = Math.ceil(finer.cellsX / 2);
+            const cellsY = Math.ceil(finer.cellsY / 2);
+            const grid = new Uint8Array(cellsX * cellsY);
+
+            for (let y = 0; y < finer.cellsY; y++) {
+                for (let x = 0; x < finer.cellsX; x++) {
+                    if (finer.grid[y * finer.cellsX + x]) {
+                        grid[(y >> 1) * cellsX + (x >> 1)] = 1;
+                    }
+                }
+            }
+
+            this.levels.push({ cellsX, cellsY, grid });
+        }
+    }
+}
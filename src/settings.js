@@ -0,0 +1,86 @@
+// Player-adjustable settings, persisted to localStorage
+// Each field lists the values the settings menu steps through with LEFT/RIGHT
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { SEASON_DURATION, TOTAL_SEASONS, WORLD_SEED } from "./simulation.js";
+import { WORLD_PRESETS, WORLD_PRESET_IDS, DEFAULT_WORLD_PRESET } from "./worldConfig.js";
+
+const SETTINGS_KEY = "settings";
+
+const MAX_SEED = 0x7fffffff;
+
+const SHAKE_LABELS = { 0: "Off", 0.5: "Low", 1: "Normal", 1.5: "High" };
+const NOTIFICATION_LABELS = { all: "All", rare: "Rare only", off: "Off" };
+
+// Menu order; fields without options are whole numbers stepped by 1 (just the seed)
+export const SETTINGS_FIELDS = [
+    { key: "seasonSeconds", label: "Season length", options: [10, 15, 20, 30, 45, 60], format: v => `${v}s` },
+    { key: "totalSeasons", label: "Total seasons", options: [4, 6, 8, 10, 12, 16, 20] },
+    { key: "world", label: "World", options: WORLD_PRESET_IDS, format: v => WORLD_PRESETS[v].name },
+    { key: "seed", label: "World seed", max: MAX_SEED },
+    { key: "shake", label: "Screen shake", options: [0, 0.5, 1, 1.5], format: v => SHAKE_LABELS[v] },
+    { key: "minimap", label: "Minimap", options: [true, false], format: v => (v ? "On" : "Off") },
+    { key: "notifications", label: "Notifications", options: ["all", "rare", "off"], format: v => NOTIFICATION_LABELS[v] },
+    { key: "volume", label: "Sound volume", options: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10], format: v => (v ? `${v * 10}%` : "Off") },
+];
+
+export const DEFAULT_SETTINGS = {
+    seasonSeconds: SEASON_DURATION / 60,
+    totalSeasons: TOTAL_SEASONS,
+    world: DEFAULT_WORLD_PRESET,
+    seed: WORLD_SEED,
+    shake: 1,
+    minimap: true,
+    notifications: "all",
+    volume: 7,
+};
+
+function isValidValue(field, value) {
+    if (field.options) {
+        return field.options.includes(value);
+    }
+    return Number.isInteger(value) && value >= 0 && value <= field.max;
+}
+
+// Stored settings merged over the defaults; unknown or out-of-range values fall back per field
+export function loadSettings() {
+    const stored = loadJSON(SETTINGS_KEY, {});
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const field of SETTINGS_FIELDS) {
+        if (stored && isValidValue(field, stored[field.key])) {
+            settings[field.key] = stored[field.key];
+        }
+    }
+    return settings;
+}
+
+export function saveSettings(settings) {
+    return saveJSON(SETTINGS_KEY, settings);
+}
+
+// Next value for a field after pressing LEFT (direction -1) or RIGHT (+1); wraps at either end
+export function stepSetting(field, value, direction) {
+    if (field.options) {
+        const index = field.options.indexOf(value);
+        const count = field.options.length;
+        return field.options[(index + direction + count) % count];
+    }
+    return (value + direction + field.max + 1) % (field.max + 1);
+}
+
+export function formatSetting(field, value) {
+    return field.format ? field.format(value) : String(value);
+}
+
+// Simulation rules (GameSimulation constructor options) for a run played with these settings
+export function getRunRules(settings) {
+    return {
+        seasonDuration: settings.seasonSeconds * 60,
+        totalSeasons: settings.totalSeasons,
+        worldPreset: settings.world,
+    };
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
@@ -0,0 +1,1195 @@
+// Headless game simulation - owns the player, world, objects and season clock
+// Has no p5 or DOM dependencies, so it can run in Node for balance testing
+// Renderers call step(input) once per frame and draw from the public state
+
+import { Player } from "./player.js";
+import { GameObject, getGravityRadius } from "./gameObject.js";
+import { Camera } from "./camera.js";
+import { World } from "./world.js";
+import { createWorldConfig, DEFAULT_WORLD_PRESET } from "./worldConfig.js";
+import { SeededRandom, deriveSeed } from "./noise.js";
+import { shouldSpawnForPlayerSize, shouldSpawnInWeather, shouldSpawnAtTime } from "./biomes.js";
+import { SpatialHash } from "./spatialHash.js";
+import { Weather } from "./weather.js";
+
+// 10 seasons: Spring 1 -> Summer 1 -> Fall 1 -> Winter 1 -> Spring 2 -> Summer 2 -> Fall 2 -> Winter 2 -> Spring 3 -> Summer 3 (win)
+export const SEASON_CYCLE = ["spring", "summer", "fall", "winter"];
+export const TOTAL_SEASONS = 10;
+
+// Time-based seasons: each season lasts 15 seconds (900 frames at 60fps)
+// These are defaults - runs can override season length and count (see settings.js)
+export const SEASON_DURATION = 15 * 60; // 15 seconds in frames
+
+// Season color transition: 3 seconds before season change
+const SEASON_TRANSITION_DURATION = 3 * 60; // 4 seconds in frames
+
+// Day/night cycle: whole days per season, with the season opening mid-morning
+// Day progress 0 is sunrise; light fades in and out over DAY_TWILIGHT at each end of the day
+const DAYS_PER_SEASON = 1;
+const DAY_START = 0.15;
+const DAY_LENGTH = 0.65;
+const DAY_TWILIGHT = 0.1;
+
+export const STARTING_SIZE = 12;
+
+// Planet consumption threshold - when player reaches this size, they consume the planet
+export const PLANET_CONSUME_SIZE = 2500;
+
+// Zoom configuration - player should always be ~15% of screen height
+const PLAYER_SCREEN_RATIO = 0.15; // Player is 15% of screen height
+// At size 12: zoom = 52.4/12 = 4.37, at size 380: zoom = 52.4/380 = 0.14
+const MIN_ZOOM = 0.1;        // Minimum zoom (for largest objects like the sun)
+const MAX_ZOOM = 4.5;         // Maximum zoom (for starting size)
+
+// World seed (change for different world layouts)
+export const WORLD_SEED = 42;
+
+// Distance-based object spawning configuration
+// These are base values - actual radii scale with zoom (smaller zoom = larger radii)
+const BASE_SPAWN_RADIUS = 400; // Base distance from player to spawn objects
+const BASE_DESPAWN_RADIUS = 600; // Base distance from player to despawn objects
+const BASE_KEEP_RADIUS = 250; // Base radius to always keep objects (protects small collectibles)
+const SPAWN_CHECK_INTERVAL = 30; // Check every 30 frames
+const MAX_OBJECTS = 1500; // Maximum objects on screen at once
+const OBJECT_CELL_SIZE = 256; // Spatial hash cell size (world units)
+
+// "path" spawn pattern: how far from a road the seed object can be and still line up along it,
+// and the distance from the middle of the road to the objects beside it
+const PATH_SEARCH_RADIUS = 400;
+const PATH_SIDE_OFFSET = 30;
+
+// Wind pushes the ball and light objects on screen (velocity per frame at a full gust)
+// The push on the ball falls off with size; objects of WIND_MAX_OBJECT_SIZE and up don't move
+const WIND_PLAYER_PUSH = 0.12;
+const WIND_OBJECT_PUSH = 0.08;
+const WIND_MAX_OBJECT_SIZE = 24;
+
+// Living objects only steer themselves within this margin (world units) of the camera view
+// and stand still once they fall outside it
+const BEHAVIOR_MARGIN = 200;
+
+// Hostile hits (see behaviors.js): how hard the ball is thrown back, and how long before the same object attacks again
+const HOSTILE_KNOCKBACK = 1.8;
+const HOSTILE_COOLDOWN = 90;
+const HOSTILE_SHAKE = 8;
+
+// Knocked-loose items fly off the ball at this speed (scaled up with the ball) and can't be collected for a while
+const KNOCK_FLING_SPEED = [2, 4];
+const KNOCK_SPREAD = 1.2; // Radians either side of straight away from the hit
+const KNOCK_COLLECT_DELAY = 60;
+
+// Slamming into an obstacle sheds recent items too: past IMPACT_SHED_RATIO of the ball's cruising top speed
+// (see Player.getImpactRatio), which takes a dash or a downhill run, the ball loses IMPACT_SHED_SHARE of its
+// recent pickups, rising with the speed up to IMPACT_MAX_SHARE
+const IMPACT_SHED_RATIO = 1.15;
+const IMPACT_SHED_SHARE = 0.1;
+const IMPACT_MAX_SHARE = 0.25;
+const IMPACT_SHAKE = 7;
+
+// Dashing into an obstacle throws the ball back harder, with a bigger shake
+const DASH_KNOCKBACK = 1.6;
+const DASH_SHAKE = 10;
+
+// Permanent objects that persist across seasons (trees, rocks, buildings, large structures)
+const PERMANENT_EMOJIS = new Set([
+    "🌲", "🌳", "🌴",           // Trees
+    "🪨",                       // Rocks
+    "🏠", "🏚️", "🛖", "🏪",    // Buildings
+    "🏰", "🏔️",                // Large structures
+]);
+
+// How a run ended (null while still running)
+export const OUTCOME = {
+    PLANET_CONSUMED: "planet_consumed",
+    SEASONS_COMPLETE: "seasons_complete",
+};
+
+// Calculate wrapped distance between two points
+function getWrappedDistance(x1, y1, x2, y2, worldWidth, worldHeight) {
+    let dx = Math.abs(x1 - x2);
+    let dy = Math.abs(y1 - y2);
+    if (dx > worldWidth / 2) dx = worldWidth - dx;
+    if (dy > worldHeight / 2) dy = worldHeight - dy;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+function calculateGrowthAmount(objectSize, playerSize) {
+    // Growth is proportional to object size relative to player
+    // Smaller relative objects give less growth
+    // This creates a natural progression where you need bigger objects as you grow
+    const sizeRatio = objectSize / playerSize;
+    const baseGrowth = objectSize * 0.04;
+    const scaledGrowth = baseGrowth * Math.pow(sizeRatio, 0.5);
+    return Math.max(0.1, scaledGrowth);
+}
+
+// Share of the ball's recent pickups a hard impact sheds, growing with how far past the threshold it was
+function getImpactShare(impactRatio) {
+    return Math.min(IMPACT_MAX_SHARE, IMPACT_SHED_SHARE * impactRatio / IMPACT_SHED_RATIO);
+}
+
+// Check if an object is rare (low spawn weight)
+function isRareObject(objType) {
+    return objType.weight !== undefined && objType.weight <= 0.05;
+}
+
+function weightedRandomSelect(items, rng, playerSize = null) {
+    if (!items || items.length === 0) return null;
+
+    // Calculate adjusted weights to ensure a good mix of collectible and obstacle objects
+    const adjustedItems = items.map(item => {
+        let weight = item.weight || 1;
+
+        if (playerSize !== null) {
+            // Objects can be collected when they're < 95% of player size
+            const collectibleThreshold = playerSize * 0.95;
+            const avgSize = (item.minSize + item.maxSize) / 2;
+
+            if (avgSize <= collectibleThreshold) {
+                // BOOST collectible objects - they're important for progression!
+                // Smaller objects relative to player get bigger boost
+                const sizeRatio = avgSize / collectibleThreshold;
+                // At ratio 0.5 (half player size): 3x boost
+                // At ratio 0.8 (close to player size): 1.5x boost
+                const boost = 1 + (1 - sizeRatio) * 4;
+                weight *= boost;
+            } else {
+                // REDUCE obstacle objects significantly
+                // The larger the obstacle relative to player, the more we reduce weight
+                const obstacleRatio = avgSize / collectibleThreshold;
+                // At 2x player size: 95% reduction
+                // At 5x player size: 99% reduction
+                const reduction = Math.min(0.99, 1 - Math.pow(0.5, obstacleRatio - 1));
+                weight *= (1 - reduction);
+            }
+        }
+
+        return { ...item, adjustedWeight: weight };
+    });
+
+    const totalWeight = adjustedItems.reduce((sum, item) => sum + item.adjustedWeight, 0);
+    let rand = rng.next() * totalWeight;
+
+    for (const item of adjustedItems) {
+        rand -= item.adjustedWeight;
+        if (rand <= 0) return item;
+    }
+    return items[0];
+}
+
+export class GameSimulation {
+    // screenWidth/screenHeight: viewport size, used for zoom and off-screen respawning
+    // spriteFor: optional lookup (emoji -> sprite) so renderers can attach images to spawned objects
+    // seasonDuration/totalSeasons: run rules (frames per season, seasons until the cycle completes)
+    // worldPreset: world size and island shape preset id (see worldConfig.js)
+    constructor({
+        seed = WORLD_SEED,
+        screenWidth,
+        screenHeight,
+        spriteFor = () => null,
+        seasonDuration = SEASON_DURATION,
+        totalSeasons = TOTAL_SEASONS,
+        worldPreset = DEFAULT_WORLD_PRESET,
+    } = {}) {
+        this.seed = seed;
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+        this.spriteFor = spriteFor;
+        this.seasonDuration = seasonDuration;
+        this.totalSeasons = totalSeasons;
+        this.worldConfig = createWorldConfig(worldPreset, seed);
+        const { width: worldWidth, height: worldHeight } = this.worldConfig;
+
+        this.currentSeasonIndex = 0; // 0 to totalSeasons - 1
+        this.seasonTimer = 0; // Frames elapsed in current season
+        this.frame = 0;
+        this.outcome = null;
+        this.objects = [];
+        this.objectGrid = new SpatialHash(OBJECT_CELL_SIZE, worldWidth, worldHeight); // Index over this.objects
+        this.thinkingObjects = new Set(); // Objects that steered themselves last frame
+        this.screenShake = 0;
+        this.shakeOffset = { x: 0, y: 0 };
+        // { frame, emoji, name, size, biome, seasonIndex } for every object on the ball, in order
+        // Pickups knocked loose are taken back out, so the log is also the collected count (see collectedCount)
+        this.collectionLog = [];
+        this.events = []; // Things that happened during the last step ("collect", "rare", "bump", "hit", "dash", "season") for sound
+
+        // Independent random streams derived from the run seed
+        // Same seed + same input sequence always reproduces the same run
+        this.spawnRng = new SeededRandom(deriveSeed(seed, "spawn"));
+        this.objectRng = new SeededRandom(deriveSeed(seed, "objects"));
+        this.effectsRng = new SeededRandom(deriveSeed(seed, "effects"));
+
+        // Particle system
+        this.particles = [];
+
+        // Pickup notification system
+        this.pickupNotifications = [];
+        this.collectedTypes = {}; // Track count of each collected object type
+
+        // Distance-based spawning
+        this.spawnCheckCounter = 0;
+
+        // Weather events on the season clock, planned from the run seed
+        this.weather = new Weather(seed, screenWidth, screenHeight);
+
+        // Create world and camera
+        this.world = new World(seed, this.worldConfig);
+        this.camera = new Camera(screenWidth, screenHeight, worldWidth, worldHeight);
+
+        // Create player at start position
+        const startPos = this.world.getStartPosition();
+        this.player = new Player(startPos.x, startPos.y, STARTING_SIZE);
+
+        // Center camera on player immediately
+        this.camera.centerOn(this.player.x, this.player.y);
+
+        this.spawnWorldObjects();
+
+        // Initialize last player position for distance-based spawning
+        this.lastPlayerX = this.player.x;
+        this.lastPlayerY = this.player.y;
+    }
+
+    // Run rules this simulation plays by, as passed to the constructor
+    getRules() {
+        return {
+            seasonDuration: this.seasonDuration,
+            totalSeasons: this.totalSeasons,
+            worldPreset: this.worldConfig.id,
+        };
+    }
+
+    // Objects on the ball, counted from the collection log so the results screen and its breakdowns agree
+    get collectedCount() {
+        return this.collectionLog.length;
+    }
+
+    getCurrentSeason() {
+        return SEASON_CYCLE[this.currentSeasonIndex % 4];
+    }
+
+    getSeasonYear() {
+        return Math.floor(this.currentSeasonIndex / 4) + 1;
+    }
+
+    getSeasonDisplayName() {
+        const season = this.getCurrentSeason();
+        const year = this.getSeasonYear();
+        return `${season.charAt(0).toUpperCase() + season.slice(1)} ${year}`;
+    }
+
+    getSeasonProgress() {
+        return Math.min(this.seasonTimer / this.seasonDuration, 1);
+    }
+
+    // Calculate blend factor for season color transition (0 = current season, 1 = next season)
+    // Transition spans 4 seconds before season end
+    getSeasonColorBlend() {
+        const fadeStart = this.seasonDuration - SEASON_TRANSITION_DURATION;
+        if (this.seasonTimer >= fadeStart) {
+            const fadeProgress = (this.seasonTimer - fadeStart) / SEASON_TRANSITION_DURATION;
+            // Linear interpolation from 0 to 1
+            return fadeProgress;
+        }
+        return 0;
+    }
+
+    // Get the next season name
+    getNextSeason() {
+        const nextIndex = (this.currentSeasonIndex + 1) % 4;
+        return SEASON_CYCLE[nextIndex];
+    }
+
+    // 0-1 through the current day, starting at sunrise
+    getDayProgress() {
+        return (this.getSeasonProgress() * DAYS_PER_SEASON + DAY_START) % 1;
+    }
+
+    // How much daylight there is (1 = full day, 0 = darkest night)
+    getDaylight() {
+        const t = this.getDayProgress();
+        if (t >= DAY_LENGTH) return 0;
+        return Math.min(1, t / DAY_TWILIGHT, (DAY_LENGTH - t) / DAY_TWILIGHT);
+    }
+
+    // "day" or "night", for the time-of-day spawn tables
+    getTimeOfDay() {
+        return this.getDaylight() >= 0.5 ? "day" : "night";
+    }
+
+    // Whether a spawn table entry fits the player's size, the weather and the time of day
+    canSpawn(objDef, playerSize) {
+        return shouldSpawnForPlayerSize(objDef, playerSize) &&
+            shouldSpawnInWeather(objDef, this.weather.type) &&
+            shouldSpawnAtTime(objDef, this.getTimeOfDay());
+    }
+
+    calculateZoom() {
+        // Calculate zoom so player is always PLAYER_SCREEN_RATIO of screen height
+        // playerSize * zoom = screenHeight * PLAYER_SCREEN_RATIO
+        const targetScreenSize = this.screenHeight * PLAYER_SCREEN_RATIO;
+        const zoom = targetScreenSize / this.player.size;
+        // Clamp to safety limits
+        return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    }
+
+    // Create a game object with a random size from its definition
+    createObject(x, y, objDef, rng) {
+        const size = objDef.minSize + rng.next() * (objDef.maxSize - objDef.minSize);
+        return new GameObject(x, y, size, objDef, this.spriteFor(objDef.emoji), this.objectRng);
+    }
+
+    // Distance-based object management - despawn far objects and spawn nearby ones
+    updateDistanceBasedSpawning() {
+        this.spawnCheckCounter++;
+        if (this.spawnCheckCounter < SPAWN_CHECK_INTERVAL) return;
+        this.spawnCheckCounter = 0;
+
+        const player = this.player;
+        const playerX = player.x;
+        const playerY = player.y;
+        const { width: worldWidth, height: worldHeight } = this.world;
+
+        // Scale radii based on zoom (smaller zoom = see more world = need larger radii)
+        const currentZoom = this.camera.zoom;
+        const zoomScale = 1 / currentZoom;
+        const spawnRadius = BASE_SPAWN_RADIUS * zoomScale;
+        const despawnRadius = BASE_DESPAWN_RADIUS * zoomScale;
+        const keepRadius = BASE_KEEP_RADIUS * zoomScale;
+
+        // Check if player has moved significantly (scaled by zoom)
+        const moveThreshold = 50 * zoomScale;
+        const moveDistance = getWrappedDistance(playerX, playerY, this.lastPlayerX, this.lastPlayerY, worldWidth, worldHeight);
+        if (moveDistance < moveThreshold) return; // Don't update if player hasn't moved much
+
+        this.lastPlayerX = playerX;
+        this.lastPlayerY = playerY;
+
+        const season = this.getCurrentSeason();
+        const playerSize = player.size;
+
+        // Despawn objects that are too far
+        const objectsToKeep = [];
+        for (const obj of this.objects) {
+            const dist = getWrappedDistance(obj.x, obj.y, playerX, playerY, worldWidth, worldHeight);
+            if (dist < despawnRadius) {
+                objectsToKeep.push(obj);
+            } else {
+                this.objectGrid.remove(obj);
+            }
+        }
+
+        // Calculate how many objects we lost
+        const despawnedCount = this.objects.length - objectsToKeep.length;
+        this.objects = objectsToKeep;
+
+        // Enforce MAX_OBJECTS limit by removing objects that are far from player
+        // Prioritize keeping nearby collectible objects (they're important for gameplay)
+        if (this.objects.length > MAX_OBJECTS) {
+            // Collectible threshold: objects smaller than 95% of player can be collected
+            const collectibleThreshold = playerSize * 0.95;
+
+            // Distances computed once up front rather than inside the comparator
+            const distances = new Map();
+            for (const obj of this.objects) {
+                distances.set(obj, getWrappedDistance(obj.x, obj.y, playerX, playerY, worldWidth, worldHeight));
+            }
+
+            this.objects.sort((a, b) => {
+                const distA = distances.get(a);
+                const distB = distances.get(b);
+
+                // Nearby collectible objects have HIGHEST priority (never cull them)
+                const nearCollectibleA = distA < keepRadius && a.size < collectibleThreshold;
+                const nearCollectibleB = distB < keepRadius && b.size < collectibleThreshold;
+                if (nearCollectibleA && !nearCollectibleB) return 1; // Keep A
+                if (nearCollectibleB && !nearCollectibleA) return -1; // Keep B
+
+                // Objects within keepRadius get high priority
+                const nearA = distA < keepRadius;
+                const nearB = distB < keepRadius;
+                if (nearA && !nearB) return 1; // Keep A
+                if (nearB && !nearA) return -1; // Keep B
+
+                // For objects outside keepRadius, prioritize by inverse distance
+                const priorityA = 1 / Math.max(distA, 1);
+                const priorityB = 1 / Math.max(distB, 1);
+                return priorityA - priorityB; // Lower priority first (will be sliced off)
+            });
+
+            const culledCount = this.objects.length - MAX_OBJECTS;
+            for (let i = 0; i < culledCount; i++) {
+                this.objectGrid.remove(this.objects[i]);
+            }
+            this.objects = this.objects.slice(culledCount);
+        }
+
+        // Spawn new objects only to replace despawned ones and maintain minimum density
+        // Check density in the visible area first
+        // (the index returns anything touching the radius, so narrow to centers inside it)
+        const visibleRadius = spawnRadius * 0.5;
+        const nearbyCount = this.objectGrid.queryRadius(playerX, playerY, visibleRadius)
+            .filter(obj => getWrappedDistance(obj.x, obj.y, playerX, playerY, worldWidth, worldHeight) < visibleRadius).length;
+
+        // Target density: roughly 1 object per 150x150 area within visible radius
+        const visibleArea = Math.PI * visibleRadius * visibleRadius;
+        const targetDensity = visibleArea / (150 * 150);
+        const densityDeficit = Math.max(0, Math.floor(targetDensity - nearbyCount));
+
+        // Only spawn to replace despawned objects or fill density deficit (not aggressively)
+        const availableSlots = MAX_OBJECTS - this.objects.length;
+        const spawnCount = Math.min(despawnedCount + densityDeficit, availableSlots);
+        if (spawnCount > 0) {
+            const rng = this.spawnRng;
+
+            for (let i = 0; i < spawnCount; i++) {
+                // Spawn at edge of spawn radius in random direction
+                const angle = rng.next() * Math.PI * 2;
+                const dist = spawnRadius * 0.8 + rng.next() * spawnRadius * 0.4;
+
+                let newX = playerX + Math.cos(angle) * dist;
+                let newY = playerY + Math.sin(angle) * dist;
+
+                // Wrap coordinates
+                newX = ((newX % this.world.width) + this.world.width) % this.world.width;
+                newY = ((newY % this.world.height) + this.world.height) % this.world.height;
+
+                const biome = this.world.getBiomeAt(newX, newY);
+                const seasonalObjects = biome.objects[season] || [];
+                if (seasonalObjects.length === 0) continue;
+
+                // Filter by player size, weather and time of day
+                const validObjects = seasonalObjects.filter(obj =>
+                    this.canSpawn(obj, playerSize)
+                );
+                if (validObjects.length === 0) continue;
+
+                // Check density
+                if (rng.next() > biome.objectDensity) continue;
+
+                const objDef = weightedRandomSelect(validObjects, rng, playerSize);
+                if (!objDef) continue;
+
+                this.addObject(this.createObject(newX, newY, objDef, rng));
+            }
+        }
+    }
+
+    // Knock a share of the ball's recent pickups loose after a hit from (fromX, fromY)
+    // The ball loses the size those pickups gave it, and they fly off as objects it can pick up again
+    knockItemsOff(share, fromX, fromY) {
+        const player = this.player;
+        const { width: worldWidth, height: worldHeight } = this.world;
+        const items = player.shedItems(Math.ceil(player.recentPickups.length * share));
+        if (items.length === 0) return 0;
+
+        const sizeLost = items.reduce((sum, item) => sum + item.growth, 0);
+        player.shrink(sizeLost, STARTING_SIZE);
+
+        // They no longer count as collected; picking them up again logs them afresh
+        const shedEntries = new Set(items.map(item => item.logEntry));
+        this.collectionLog = this.collectionLog.filter(entry => !shedEntries.has(entry));
+        for (const item of items) {
+            this.collectedTypes[item.type.emoji]--;
+        }
+
+        // Items scatter away from whatever hit the ball
+        let awayX = player.x - fromX;
+        let awayY = player.y - fromY;
+        if (Math.abs(awayX) > worldWidth / 2) awayX -= Math.sign(awayX) * worldWidth;
+        if (Math.abs(awayY) > worldHeight / 2) awayY -= Math.sign(awayY) * worldHeight;
+        const awayAngle = Math.atan2(awayY, awayX);
+
+        const rng = this.objectRng;
+        const speedScale = Math.sqrt(player.size / STARTING_SIZE);
+        for (const item of items) {
+            const angle = awayAngle + (rng.next() - 0.5) * 2 * KNOCK_SPREAD;
+            const speed = rng.range(KNOCK_FLING_SPEED[0], KNOCK_FLING_SPEED[1]) * speedScale;
+            const edge = player.radius + item.size / 2;
+            const x = player.x + Math.cos(angle) * edge;
+            const y = player.y + Math.sin(angle) * edge;
+
+            const obj = new GameObject(
+                ((x % worldWidth) + worldWidth) % worldWidth,
+                ((y % worldHeight) + worldHeight) % worldHeight,
+                item.size, item.type, item.sprite, rng
+            );
+            obj.vx = Math.cos(angle) * speed;
+            obj.vy = Math.sin(angle) * speed;
+            obj.collectDelay = KNOCK_COLLECT_DELAY;
+            this.addObject(obj);
+        }
+
+        this.createParticles(player.x, player.y, [255, 120, 90], 12);
+        return items.length;
+    }
+
+    // Add a spawned object to the live list and the spatial index
+    addObject(obj) {
+        this.objects.push(obj);
+        this.objectGrid.insert(obj);
+    }
+
+    // Objects overlapping the camera view (unsorted)
+    getVisibleObjects() {
+        const bounds = this.camera.getVisibleBounds();
+        return this.objectGrid.queryRect(bounds.left, bounds.top, bounds.right, bounds.bottom);
+    }
+
+    addPickupNotification(emoji, name, count, isRare = false) {
+        // Check if there's already a notification for this emoji - update it instead of adding new
+        const existing = this.pickupNotifications.find(n => n.emoji === emoji);
+        if (existing) {
+            existing.count = count;
+            existing.timer = isRare ? 150 : 90; // Rare items stay longer
+            if (isRare) existing.isRare = true;
+            return;
+        }
+
+        this.pickupNotifications.push({
+            emoji,
+            name,
+            count,
+            timer: isRare ? 150 : 90, // ~2.5 seconds for rare, ~1.5 for normal
+            y: 0,
+            isRare,
+        });
+        // Keep only last 4 notifications
+        if (this.pickupNotifications.length > 4) {
+            this.pickupNotifications.shift();
+        }
+    }
+
+    updatePickupNotifications() {
+        for (let i = this.pickupNotifications.length - 1; i >= 0; i--) {
+            const notif = this.pickupNotifications[i];
+            notif.timer--;
+            if (notif.timer <= 0) {
+                this.pickupNotifications.splice(i, 1);
+            }
+        }
+    }
+
+    // Pick an archipelago island with odds proportional to its area
+    pickIsland(islands, rng) {
+        let totalArea = 0;
+        for (const island of islands) totalArea += island.radiusX * island.radiusY;
+
+        let roll = rng.next() * totalArea;
+        for (const island of islands) {
+            roll -= island.radiusX * island.radiusY;
+            if (roll < 0) return island;
+        }
+        return islands[islands.length - 1];
+    }
+
+    // Generate spawn points on the island (not ocean)
+    // Archipelago points are shared among the islands by area
+    generateLandSpawnPoints(count, seed) {
+        const rng = new SeededRandom(seed);
+        const { centerX, centerY, radiusX, radiusY, islands } = this.worldConfig;
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const island = islands ? this.pickIsland(islands, rng) : { x: centerX, y: centerY, radiusX, radiusY };
+
+            // Generate random angle and distance from the island center
+            const angle = rng.next() * Math.PI * 2;
+            // Use sqrt for uniform distribution across circular area
+            const distRatio = Math.sqrt(rng.next()) * 0.85; // Stay within 85% of island radius
+
+            const x = island.x + Math.cos(angle) * island.radiusX * distRatio;
+            const y = island.y + Math.sin(angle) * island.radiusY * distRatio;
+            const biome = this.world.peekBiomeAt(x, y);
+
+            // Skip if this ended up in ocean (due to noise-based coastline)
+            if (biome.isOcean) continue;
+
+            points.push({ x, y, biome });
+        }
+
+        return points;
+    }
+
+    // Generate spawn points in the ocean (around the island)
+    generateOceanSpawnPoints(count, seed) {
+        const rng = new SeededRandom(seed);
+        const { centerX, centerY, radiusX, radiusY, width, height } = this.worldConfig;
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            // Generate random angle and distance from center (in ocean zone)
+            const angle = rng.next() * Math.PI * 2;
+            // Spawn between 1.1x and 1.4x island radius (in ocean)
+            const distRatio = 1.1 + rng.next() * 0.3;
+
+            const x = centerX + Math.cos(angle) * radiusX * distRatio;
+            const y = centerY + Math.sin(angle) * radiusY * distRatio;
+
+            // Make sure we're still within world bounds
+            if (x < 50 || x > width - 50 || y < 50 || y > height - 50) continue;
+
+            const biome = this.world.peekBiomeAt(x, y);
+
+            // Only add if actually in ocean
+            if (biome.isOcean) {
+                points.push({ x, y, biome });
+            }
+        }
+
+        return points;
+    }
+
+    // Spawn additional objects around a seed object based on its spawn pattern
+    // Returns array of new objects to add
+    spawnPatternObjects(seedX, seedY, objDef, rng) {
+        const newObjects = [];
+        const pattern = objDef.spawnPattern || "scattered";
+
+        if (pattern === "scattered") {
+            // Scattered objects spawn alone - no additional objects
+            return newObjects;
+        }
+
+        if (pattern === "clustered") {
+            // Spawn 4-10 more objects in a cluster around the seed
+            const clusterCount = 4 + Math.floor(rng.next() * 7);
+            const clusterRadius = Math.max(60, objDef.maxSize * 3);
+
+            for (let i = 0; i < clusterCount; i++) {
+                const angle = rng.next() * Math.PI * 2;
+                const dist = rng.next() * clusterRadius;
+                let x = seedX + Math.cos(angle) * dist;
+                let y = seedY + Math.sin(angle) * dist;
+
+                // Wrap coordinates
+                x = ((x % this.world.width) + this.world.width) % this.world.width;
+                y = ((y % this.world.height) + this.world.height) % this.world.height;
+
+                // Check biome - only spawn if same biome or not ocean
+                const pointBiome = this.world.getBiomeAt(x, y);
+                if (pointBiome.isOcean) continue;
+
+                newObjects.push(this.createObject(x, y, objDef, rng));
+            }
+        }
+
+        if (pattern === "grid") {
+            // Spawn a grid of objects around the seed
+            const rows = 3 + Math.floor(rng.next() * 3); // 3-5 rows
+            const cols = 4 + Math.floor(rng.next() * 4); // 4-7 cols
+            const spacing = Math.max(objDef.maxSize * 1.5, 35);
+
+            // Slight rotation for visual interest
+            const rotation = rng.next() * Math.PI * 0.12 - Math.PI * 0.06; // ±11 degrees
+            const cosR = Math.cos(rotation);
+            const sinR = Math.sin(rotation);
+
+            const startX = seedX - (cols - 1) * spacing / 2;
+            const startY = seedY - (rows - 1) * spacing / 2;
+
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    // Skip the center (seed is already there)
+                    if (row === Math.floor(rows / 2) && col === Math.floor(cols / 2)) continue;
+
+                    // Add small jitter
+                    const jitterX = (rng.next() - 0.5) * spacing * 0.2;
+                    const jitterY = (rng.next() - 0.5) * spacing * 0.2;
+
+                    const localX = col * spacing + jitterX;
+                    const localY = row * spacing + jitterY;
+
+                    // Apply rotation
+                    const rotatedX = localX * cosR - localY * sinR;
+                    const rotatedY = localX * sinR + localY * cosR;
+
+                    let x = startX + rotatedX;
+                    let y = startY + rotatedY;
+
+                    // Wrap coordinates
+                    x = ((x % this.world.width) + this.world.width) % this.world.width;
+                    y = ((y % this.world.height) + this.world.height) % this.world.height;
+
+                    // Check biome - only spawn in same biome type or non-ocean
+                    const pointBiome = this.world.getBiomeAt(x, y);
+                    if (pointBiome.isOcean) continue;
+
+                    newObjects.push(this.createObject(x, y, objDef, rng));
+                }
+            }
+        }
+
+        if (pattern === "path") {
+            // Line up along the nearest road on either side of it, or spawn alone away from roads
+            const nearest = this.world.getNearestRoad(seedX, seedY, PATH_SEARCH_RADIUS);
+            if (!nearest) return newObjects;
+
+            const count = 3 + Math.floor(rng.next() * 4); // 3-6 more
+            const spacing = Math.max(objDef.maxSize * 2, 60);
+
+            for (let i = 1; i <= count; i++) {
+                // Alternate ahead of and behind the closest point on the road
+                const step = Math.ceil(i / 2) * (i % 2 === 1 ? 1 : -1);
+                const point = this.world.getPointAlongRoad(nearest.road, nearest.along + step * spacing);
+                if (!point) continue;
+
+                // Off to a random side, clear of the road surface
+                const side = rng.next() < 0.5 ? -1 : 1;
+                const offset = (PATH_SIDE_OFFSET + objDef.maxSize * 0.5) * side;
+                let x = point.x - point.dirY * offset;
+                let y = point.y + point.dirX * offset;
+
+                // Wrap coordinates
+                x = ((x % this.world.width) + this.world.width) % this.world.width;
+                y = ((y % this.world.height) + this.world.height) % this.world.height;
+
+                const pointBiome = this.world.getBiomeAt(x, y);
+                if (pointBiome.isOcean) continue;
+
+                newObjects.push(this.createObject(x, y, objDef, rng));
+            }
+        }
+
+        return newObjects;
+    }
+
+    // Spawn objects around the player position
+    // This is the main spawning function - spawns in rings around player
+    spawnObjectsAroundPlayer(centerX, centerY, maxRadius, targetCount, ringIndex = 0) {
+        const season = this.getCurrentSeason();
+        const playerSize = this.player ? this.player.size : STARTING_SIZE;
+        // Use different seed for each ring to get variety
+        const rng = new SeededRandom(this.seed + this.currentSeasonIndex * 1000 + ringIndex * 7777);
+
+        let spawned = 0;
+        const attempts = targetCount * 5; // More attempts to ensure we hit target
+
+        for (let i = 0; i < attempts && spawned < targetCount; i++) {
+            // Random position within radius
+            const angle = rng.next() * Math.PI * 2;
+            const dist = Math.sqrt(rng.next()) * maxRadius; // sqrt for uniform distribution
+
+            let x = centerX + Math.cos(angle) * dist;
+            let y = centerY + Math.sin(angle) * dist;
+
+            // Wrap coordinates
+            x = ((x % this.world.width) + this.world.width) % this.world.width;
+            y = ((y % this.world.height) + this.world.height) % this.world.height;
+
+            const biome = this.world.getBiomeAt(x, y);
+            const seasonalObjects = biome.objects[season] || [];
+            if (seasonalObjects.length === 0) continue;
+
+            // Skip density check for first ring - always spawn close objects
+            // Other rings use density check
+            if (ringIndex > 0 && rng.next() > biome.objectDensity) continue;
+
+            // Filter to objects valid for player size, weather and time of day
+            const validObjects = seasonalObjects.filter(obj =>
+                this.canSpawn(obj, playerSize)
+            );
+            if (validObjects.length === 0) continue;
+
+            const objDef = weightedRandomSelect(validObjects, rng, playerSize);
+            if (!objDef) continue;
+
+            this.addObject(this.createObject(x, y, objDef, rng));
+            spawned++;
+
+            // Spawn pattern objects around the seed (clustered, grid or path)
+            const patternObjects = this.spawnPatternObjects(x, y, objDef, rng);
+            for (const pObj of patternObjects) {
+                if (spawned >= targetCount) break;
+                this.addObject(pObj);
+                spawned++;
+            }
+        }
+
+        return spawned;
+    }
+
+    spawnWorldObjects() {
+        this.objects = [];
+        this.objectGrid.clear();
+
+        // Spawn objects in rings around the player, starting close and expanding outward
+        // This ensures nearby objects are always present
+        const playerX = this.player ? this.player.x : this.worldConfig.homeX;
+        const playerY = this.player ? this.player.y : this.worldConfig.homeY;
+
+        // Ring 0: Very close (0-100 pixels) - 80 objects (no density check)
+        this.spawnObjectsAroundPlayer(playerX, playerY, 100, 80, 0);
+
+        // Ring 1: Close (100-300 pixels) - 120 objects
+        this.spawnObjectsAroundPlayer(playerX, playerY, 300, 120, 1);
+
+        // Ring 2: Medium (300-600 pixels) - 150 objects
+        this.spawnObjectsAroundPlayer(playerX, playerY, 600, 150, 2);
+
+        // Ring 3: Far (600-1000 pixels) - 150 objects
+        this.spawnObjectsAroundPlayer(playerX, playerY, 1000, 150, 3);
+    }
+
+    createParticles(x, y, color, count = 8) {
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const speed = 2 + this.effectsRng.next() * 2;
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1,
+                color,
+            });
+        }
+    }
+
+    // Create special golden burst effect for rare items
+    createRareParticles(x, y) {
+        // Golden sparkle burst - more particles, multiple rings
+        const colors = [
+            [255, 215, 0],   // Gold
+            [255, 255, 100], // Bright yellow
+            [255, 180, 50],  // Orange gold
+        ];
+
+        const rng = this.effectsRng;
+
+        // Inner fast burst
+        for (let i = 0; i < 12; i++) {
+            const angle = (i / 12) * Math.PI * 2 + rng.next() * 0.3;
+            const speed = 4 + rng.next() * 3;
+            const color = colors[Math.floor(rng.next() * colors.length)];
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1.2,
+                color,
+                isRare: true,
+            });
+        }
+
+        // Outer slower sparkles
+        for (let i = 0; i < 8; i++) {
+            const angle = rng.next() * Math.PI * 2;
+            const speed = 1.5 + rng.next() * 1.5;
+            const color = colors[Math.floor(rng.next() * colors.length)];
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1.5,
+                color,
+                isRare: true,
+            });
+        }
+    }
+
+    updateParticles() {
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const part = this.particles[i];
+            part.x += part.vx;
+            part.y += part.vy;
+            part.life -= 0.05;
+            if (part.life <= 0) {
+                this.particles.splice(i, 1);
+            }
+        }
+    }
+
+    advanceSeason() {
+        this.currentSeasonIndex++;
+        this.seasonTimer = 0;
+
+        if (this.currentSeasonIndex >= this.totalSeasons) {
+            this.outcome = OUTCOME.SEASONS_COMPLETE;
+        } else {
+            this.events.push("season");
+            // Only respawn off-screen objects (keep visible ones for continuity)
+            this.respawnOffScreenObjects();
+        }
+    }
+
+    // Respawn only objects that are off-screen
+    respawnOffScreenObjects() {
+        const season = this.getCurrentSeason();
+        const playerSize = this.player ? this.player.size : STARTING_SIZE;
+        const spawnRng = new SeededRandom(this.seed + this.currentSeasonIndex * 1000);
+
+        // Get visible bounds with some margin
+        const bounds = this.camera.getVisibleBounds();
+        const margin = 200;
+
+        // Keep objects that are on-screen, or permanent objects (rocks, trees, houses) anywhere
+        const onScreenObjects = this.objects.filter(obj => {
+            const isOnScreen = obj.x > bounds.left - margin &&
+                   obj.x < bounds.right + margin &&
+                   obj.y > bounds.top - margin &&
+                   obj.y < bounds.bottom + margin;
+            const isPermanent = PERMANENT_EMOJIS.has(obj.type.emoji);
+            return isOnScreen || isPermanent;
+        });
+
+        // Calculate how many objects to add (maintain reasonable density for larger world)
+        const targetObjectCount = 8000;
+        const objectsToAdd = Math.max(0, targetObjectCount - onScreenObjects.length);
+
+        // Generate new spawn points for off-screen areas
+        const newLandPoints = this.generateLandSpawnPoints(Math.floor(objectsToAdd * 0.8), this.seed + this.currentSeasonIndex * 100 + 50000);
+        const newOceanPoints = this.generateOceanSpawnPoints(Math.floor(objectsToAdd * 0.2), this.seed + this.currentSeasonIndex * 200 + 50000);
+
+        // Start fresh with on-screen objects
+        this.objects = onScreenObjects;
+        this.objectGrid.rebuild(onScreenObjects);
+
+        // Add new objects from land and ocean points
+        for (const point of [...newLandPoints, ...newOceanPoints]) {
+            // Skip if too close to visible area
+            if (point.x > bounds.left - margin &&
+                point.x < bounds.right + margin &&
+                point.y > bounds.top - margin &&
+                point.y < bounds.bottom + margin) continue;
+
+            const biome = point.biome;
+            const seasonalObjects = biome.objects[season] || [];
+            if (seasonalObjects.length === 0) continue;
+            if (spawnRng.next() > biome.objectDensity) continue;
+
+            const validObjects = seasonalObjects.filter(obj =>
+                this.canSpawn(obj, playerSize)
+            );
+            if (validObjects.length === 0) continue;
+
+            const objDef = weightedRandomSelect(validObjects, spawnRng, playerSize);
+            if (!objDef) continue;
+
+            this.addObject(this.createObject(point.x, point.y, objDef, spawnRng));
+        }
+    }
+
+    // Summary of everything collected this run, for results screens
+    // biggest: largest collection log entry; byBiome: counts by biome id; bySeason: counts per season index
+    getCollectionStats() {
+        const byBiome = {};
+        const bySeason = new Array(this.totalSeasons).fill(0);
+        let biggest = null;
+
+        for (const entry of this.collectionLog) {
+            byBiome[entry.biome] = (byBiome[entry.biome] || 0) + 1;
+            bySeason[entry.seasonIndex]++;
+            if (!biggest || entry.size > biggest.size) {
+                biggest = entry;
+            }
+        }
+
+        return { biggest, byBiome, bySeason };
+    }
+
+    // Advance the weather and let the wind push the ball and light objects on screen
+    // scrollX/scrollY: how far the camera moved this frame, in screen pixels
+    updateWeather(scrollX, scrollY) {
+        const weather = this.weather;
+        weather.update(this.currentSeasonIndex, this.getCurrentSeason(), this.getSeasonProgress(), scrollX, scrollY);
+
+        const { x: windX, y: windY } = weather.wind;
+        if (windX === 0 && windY === 0) return;
+
+        // Felt on the next frame's move
+        const player = this.player;
+        const playerPush = WIND_PLAYER_PUSH * Math.sqrt(STARTING_SIZE / player.size);
+        player.vx += windX * playerPush;
+        player.vy += windY * playerPush;
+
+        for (const obj of this.getVisibleObjects()) {
+            if (obj.size >= WIND_MAX_OBJECT_SIZE) continue;
+            const push = WIND_OBJECT_PUSH * (1 - obj.size / WIND_MAX_OBJECT_SIZE);
+            obj.vx += windX * push;
+            obj.vy += windY * push;
+        }
+    }
+
+    // Let living objects around the camera view steer themselves (see behaviors.js)
+    updateBehaviors() {
+        const { width: worldWidth, height: worldHeight } = this.world;
+        const context = {
+            world: this.world,
+            player: this.player,
+            rng: this.objectRng,
+            worldWidth,
+            worldHeight,
+            getNeighbors: (obj, radius) => this.objectGrid.queryRadius(obj.x, obj.y, radius),
+        };
+
+        const bounds = this.camera.getVisibleBounds();
+        const nearby = this.objectGrid.queryRect(
+            bounds.left - BEHAVIOR_MARGIN, bounds.top - BEHAVIOR_MARGIN,
+            bounds.right + BEHAVIOR_MARGIN, bounds.bottom + BEHAVIOR_MARGIN
+        );
+        const thinking = new Set();
+        for (const obj of nearby) {
+            if (obj.behaviors.length === 0) continue;
+            obj.think(context);
+            thinking.add(obj);
+        }
+
+        // Objects left behind stop walking rather than carry on blind over any terrain
+        for (const obj of this.thinkingObjects) {
+            if (!thinking.has(obj)) obj.stopWalking();
+        }
+        this.thinkingObjects = thinking;
+    }
+
+    // Advance the simulation by one frame
+    // input: { up, down, left, right, a, b } booleans for this frame (D-pad, a to charge and release a dash, b to brake)
+    step(input) {
+        if (this.outcome) return;
+        this.frame++;
+        this.events = [];
+
+        // Screen shake decays every frame
+        this.screenShake *= 0.9;
+        if (this.screenShake < 0.5) this.screenShake = 0;
+
+        const player = this.player;
+        const { width: worldWidth, height: worldHeight } = this.world;
+
+        // Update player with world bounds, world reference (for biome checks) and season (for seasonal terrain)
+        player.update(input, worldWidth, worldHeight, this.world, this.getCurrentSeason());
+        if (player.dashStarted) {
+            this.events.push("dash");
+        }
+
+        // Update camera zoom based on player size
+        this.camera.setTargetZoom(this.calculateZoom());
+
+        // Update camera to follow player
+        const cameraX = this.camera.x;
+        const cameraY = this.camera.y;
+        this.camera.follow(player);
+
+        this.updateWeather((this.camera.x - cameraX) * this.camera.zoom, (this.camera.y - cameraY) * this.camera.zoom);
+
+        // Update distance-based object spawning/despawning
+        this.updateDistanceBasedSpawning();
+
+        // Apply gravity and update all objects
+        // Gravity strength: base value that gets multiplied by size-based factors in applyGravity
+        const gravityStrength = 15;
+
+        // Only objects within gravity range can be pulled; only collectible ones are
+        const gravityRadius = getGravityRadius(player.size);
+        for (const obj of this.objectGrid.queryRadius(player.x, player.y, gravityRadius)) {
+            if (obj.collectDelay === 0 && player.canCollect(obj)) {
+                obj.applyGravity(player.x, player.y, gravityStrength, player.size, worldWidth, worldHeight);
+            }
+        }
+
+        // Living objects near the view wander, flee and flock
+        this.updateBehaviors();
+
+        // Every object animates; only moving ones need re-indexing
+        for (const obj of this.objects) {
+            const moving = obj.isMoving;
+            obj.update(worldWidth, worldHeight);
+            if (moving) this.objectGrid.update(obj);
+        }
+
+        // Check collisions with nearby objects (with world wrapping)
+        let collectedAny = false;
+        for (const obj of this.objectGrid.queryRadius(player.x, player.y, player.radius)) {
+            // Items just knocked loose fly clear before they can stick again
+            if (obj.collectDelay > 0) continue;
+            if (player.collidesWith(obj, worldWidth, worldHeight)) {
+                if (player.canCollect(obj)) {
+                    // Calculate growth based on object size relative to player
+                    const growAmount = calculateGrowthAmount(obj.size, player.size);
+                    // Track collected type and show notification
+                    const emoji = obj.type.emoji;
+                    const name = obj.type.name;
+                    this.collectedTypes[emoji] = (this.collectedTypes[emoji] || 0) + 1;
+                    const logEntry = {
+                        frame: this.frame,
+                        emoji,
+                        name,
+                        size: obj.size,
+                        biome: this.world.getBiomeAt(obj.x, obj.y).id,
+                        seasonIndex: this.currentSeasonIndex,
+                    };
+                    this.collectionLog.push(logEntry);
+                    player.collect(obj, growAmount, worldWidth, worldHeight, logEntry);
+
+                    // Check if this is a rare item
+                    const isRare = isRareObject(obj.type);
+
+                    if (isRare) {
+                        // Special golden burst for rare items
+                        this.createRareParticles(obj.x, obj.y);
+                        this.addPickupNotification(emoji, name, this.collectedTypes[emoji], true);
+                        this.screenShake = 3; // Small celebratory shake
+                        this.events.push("rare");
+                    } else {
+                        this.createParticles(obj.x, obj.y, [255, 255, 150]);
+                        this.addPickupNotification(emoji, name, this.collectedTypes[emoji], false);
+                        this.events.push("collect");
+                    }
+
+                    obj.collected = true;
+                    this.objectGrid.remove(obj);
+                    collectedAny = true;
+
+                    // Check if player has grown large enough to consume the planet
+                    if (player.size >= PLANET_CONSUME_SIZE) {
+                        this.outcome = OUTCOME.PLANET_CONSUMED;
+                    }
+                } else if (obj.knock > 0 && obj.attackCooldown === 0) {
+                    // Hostile hit: thrown back harder, with items knocked loose
+                    obj.attackCooldown = HOSTILE_COOLDOWN;
+                    player.bounceFrom(obj.x, obj.y, worldWidth, worldHeight, HOSTILE_KNOCKBACK);
+                    this.knockItemsOff(obj.knock, obj.x, obj.y);
+                    this.screenShake = HOSTILE_SHAKE;
+                    this.events.push("hit");
+                } else {
+                    // Bounce (with wrapping support), harder out of a dash, shedding items if the ball hit hard
+                    const impactRatio = player.getImpactRatio(obj.x, obj.y, worldWidth, worldHeight);
+                    const dashing = player.isDashing;
+                    player.bounceFrom(obj.x, obj.y, worldWidth, worldHeight, dashing ? DASH_KNOCKBACK : 1);
+                    if (impactRatio > IMPACT_SHED_RATIO &&
+                        this.knockItemsOff(getImpactShare(impactRatio), obj.x, obj.y) > 0) {
+                        this.screenShake = IMPACT_SHAKE;
+                        this.events.push("hit");
+                    } else {
+                        this.screenShake = 4;
+                        this.events.push("bump");
+                    }
+                    if (dashing) {
+                        this.screenShake = Math.max(this.screenShake, DASH_SHAKE);
+                    }
+                }
+            }
+        }
+        if (collectedAny) {
+            this.objects = this.objects.filter(obj => !obj.collected);
+        }
+
+        // Time-based season advancement
+        this.seasonTimer++;
+        if (this.seasonTimer >= this.seasonDuration) {
+            this.advanceSeason();
+        }
+
+        this.updateParticles();
+        this.updatePickupNotifications();
+
+        // Screen shake offset for this frame (from the effects stream so replays shake identically)
+        this.shakeOffset = {
+            x: (this.effectsRng.next() - 0.5) * this.screenShake,
+            y: (this.effectsRng.next() - 0.5) * this.screenShake,
+        };
+    }
+}
@@ -0,0 +1,54 @@
+// Synthesized sound effects (WebAudio oscillator blips, no asset files)
+// The AudioContext is created on the first sound, by which point a button has been pressed
+
+// Frequency sweep from -> to (Hz) over duration (seconds)
+const SOUNDS = {
+    collect: { type: "sine", from: 660, to: 990, duration: 0.08, gain: 0.12 },
+    rare: { type: "triangle", from: 880, to: 1760, duration: 0.3, gain: 0.2 },
+    bump: { type: "square", from: 160, to: 70, duration: 0.12, gain: 0.08 },
+    hit: { type: "sawtooth", from: 240, to: 60, duration: 0.25, gain: 0.12 },
+    dash: { type: "triangle", from: 220, to: 660, duration: 0.18, gain: 0.12 },
+    season: { type: "sine", from: 392, to: 784, duration: 0.5, gain: 0.15 },
+};
+
+let context = null;
+let volume = 1;
+
+// level: 0 (muted) to 1
+export function setVolume(level) {
+    volume = level;
+}
+
+export function playSound(name) {
+    const sound = SOUNDS[name];
+    if (!sound || volume <= 0) return;
+
+    try {
+        if (!context) {
+            const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+            if (!AudioContextClass) return;
+            context = new AudioContextClass();
+        }
+        if (context.state === "suspended") {
+            // Autoplay policy can refuse until the player interacts; the next sound tries again
+            context.resume().catch(() => {});
+        }
+
+        const now = context.currentTime;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = sound.type;
+        oscillator.frequency.setValueAtTime(sound.from, now);
+        oscillator.frequency.exponentialRampToValueAtTime(sound.to, now + sound.duration);
+        gain.gain.setValueAtTime(sound.gain * volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + sound.duration);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(now);
+        oscillator.stop(now + sound.duration);
+    } catch (err) {
+        console.warn(`Failed to play sound ${name}:`, err);
+    }
+}
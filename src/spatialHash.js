@@ -0,0 +1,138 @@
+// Wrap-aware spatial hash over the toroidal world
+// Objects are bucketed by their center; queries widen by the largest radius inserted so
+// anything whose body overlaps the query area is returned (callers still do exact checks)
+
+export class SpatialHash {
+    // cellSize is approximate: cells are stretched to divide the world exactly, so wrapping lines up
+    constructor(cellSize, worldWidth, worldHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.cols = Math.max(1, Math.round(worldWidth / cellSize));
+        this.rows = Math.max(1, Math.round(worldHeight / cellSize));
+        this.cellWidth = worldWidth / this.cols;
+        this.cellHeight = worldHeight / this.rows;
+
+        this.cells = new Map(); // cell index -> Set of objects
+        this.cellOf = new Map(); // object -> cell index
+        this.maxRadius = 0;
+    }
+
+    get size() {
+        return this.cellOf.size;
+    }
+
+    cellIndexFor(x, y) {
+        const col = ((Math.floor(x / this.cellWidth) % this.cols) + this.cols) % this.cols;
+        const row = ((Math.floor(y / this.cellHeight) % this.rows) + this.rows) % this.rows;
+        return row * this.cols + col;
+    }
+
+    insert(obj) {
+        const index = this.cellIndexFor(obj.x, obj.y);
+        let cell = this.cells.get(index);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(index, cell);
+        }
+        cell.add(obj);
+        this.cellOf.set(obj, index);
+        this.maxRadius = Math.max(this.maxRadius, obj.radius);
+    }
+
+    remove(obj) {
+        const index = this.cellOf.get(obj);
+        if (index === undefined) return;
+        const cell = this.cells.get(index);
+        cell.delete(obj);
+        if (cell.size === 0) this.cells.delete(index);
+        this.cellOf.delete(obj);
+    }
+
+    // Re-bucket an object after it moved; cheap when it stayed in the same cell
+    update(obj) {
+        const index = this.cellIndexFor(obj.x, obj.y);
+        if (this.cellOf.get(obj) === index) return;
+        this.remove(obj);
+        this.insert(obj);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.cellOf.clear();
+        this.maxRadius = 0;
+    }
+
+    rebuild(objects) {
+        this.clear();
+        for (const obj of objects) {
+            this.insert(obj);
+        }
+    }
+
+    // Objects in every cell touched by the rectangle, widened by maxRadius
+    // Bounds may extend past the world edges; cells wrap around
+    collectCells(left, top, right, bottom) {
+        const pad = this.maxRadius;
+        const firstCol = Math.floor((left - pad) / this.cellWidth);
+        const lastCol = Math.floor((right + pad) / this.cellWidth);
+        const firstRow = Math.floor((top - pad) / this.cellHeight);
+        const lastRow = Math.floor((bottom + pad) / this.cellHeight);
+
+        // Clamp the span so huge queries visit each wrapped cell only once
+        const colCount = Math.min(lastCol - firstCol + 1, this.cols);
+        const rowCount = Math.min(lastRow - firstRow + 1, this.rows);
+
+        const results = [];
+        for (let r = 0; r < rowCount; r++) {
+            const row = (((firstRow + r) % this.rows) + this.rows) % this.rows;
+            for (let c = 0; c < colCount; c++) {
+                const col = (((firstCol + c) % this.cols) + this.cols) % this.cols;
+                const cell = this.cells.get(row * this.cols + col);
+                if (cell) {
+                    for (const obj of cell) results.push(obj);
+                }
+            }
+        }
+        return results;
+    }
+
+    // Objects whose body comes within radius of (x, y), measured across world wrapping
+    queryRadius(x, y, radius) {
+        const candidates = this.collectCells(x - radius, y - radius, x + radius, y + radius);
+        const results = [];
+        for (const obj of candidates) {
+            let dx = Math.abs(obj.x - x) % this.worldWidth;
+            let dy = Math.abs(obj.y - y) % this.worldHeight;
+            if (dx > this.worldWidth / 2) dx = this.worldWidth - dx;
+            if (dy > this.worldHeight / 2) dy = this.worldHeight - dy;
+
+            const reach = radius + obj.radius;
+            if (dx * dx + dy * dy <= reach * reach) {
+                results.push(obj);
+            }
+        }
+        return results;
+    }
+
+    // Objects whose body overlaps the rectangle (world coordinates, may extend past the edges)
+    queryRect(left, top, right, bottom) {
+        const centerX = (left + right) / 2;
+        const centerY = (top + bottom) / 2;
+        const halfWidth = (right - left) / 2;
+        const halfHeight = (bottom - top) / 2;
+
+        const candidates = this.collectCells(left, top, right, bottom);
+        const results = [];
+        for (const obj of candidates) {
+            let dx = Math.abs(obj.x - centerX) % this.worldWidth;
+            let dy = Math.abs(obj.y - centerY) % this.worldHeight;
+            if (dx > this.worldWidth / 2) dx = this.worldWidth - dx;
+            if (dy > this.worldHeight / 2) dy = this.worldHeight - dy;
+
+            if (dx <= halfWidth + obj.radius && dy <= halfHeight + obj.radius) {
+                results.push(obj);
+            }
+        }
+        return results;
+    }
+}
@@ -0,0 +1,27 @@
+// localStorage persistence helpers
+// Storage may be unavailable (private browsing, full quota, headless Node), so failures fall back quietly
+
+const KEY_PREFIX = "seasonalGrowth.";
+
+// Read a JSON value, returning fallback if missing or unreadable
+export function loadJSON(key, fallback = null) {
+    try {
+        const raw = globalThis.localStorage?.getItem(KEY_PREFIX + key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (err) {
+        console.warn(`Failed to load ${key} from storage:`, err);
+        return fallback;
+    }
+}
+
+// Write a JSON value, returning false if it could not be stored
+export function saveJSON(key, value) {
+    try {
+        if (!globalThis.localStorage) return false;
+        globalThis.localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (err) {
+        console.warn(`Failed to save ${key} to storage:`, err);
+        return false;
+    }
+}
@@ -0,0 +1,191 @@
+// Prerendered terrain chunks for World.draw()
+// Each chunk is a small image with one pixel per biome cell, drawn scaled up without smoothing,
+// so terrain costs a few image draws per frame instead of one rect per tile
+// When tiles shrink below a screen pixel, chunks are built from a coarser biome mip level
+
+// Cells per chunk side
+const CHUNK_CELLS = 16;
+
+// Chunk images kept in memory (least recently drawn are dropped first)
+const MAX_CACHED_CHUNKS = 256;
+
+// Hill shading: light from the top left brightens slopes facing it and darkens the far sides
+// Strength is color levels per unit of slope (elevation per tile)
+const SLOPE_SHADE = 2500;
+const MAX_SLOPE_SHADE = 35;
+const LIGHT_X = -Math.SQRT1_2;
+const LIGHT_Y = -Math.SQRT1_2;
+
+// Warped chunks are split into MESH_CELLS x MESH_CELLS pieces, each placed from displaced mesh corners
+const MESH_CELLS = 4;
+
+// Spherical gravity distortion - fisheye lens effect toward the player
+// warp: { x, y, strength, radius } in world coordinates
+function warpPoint(x, y, warp) {
+    const dx = warp.x - x;
+    const dy = warp.y - y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist <= 0 || dist >= warp.radius) return [x, y];
+
+    // Points closer to center get pulled more dramatically
+    const normalizedDist = dist / warp.radius;
+
+    // Spherical falloff - creates a dome-like warping effect
+    // sqrt(1 - x^2) gives a hemisphere profile
+    const sphereFactor = Math.sqrt(1 - normalizedDist * normalizedDist);
+
+    // Combine with power falloff for smooth transition at edges
+    const edgeFalloff = Math.pow(1 - normalizedDist, 1.5);
+    const pull = warp.strength * sphereFactor * edgeFalloff * dist;
+
+    return [x + (dx / dist) * pull, y + (dy / dist) * pull];
+}
+
+export class TerrainCache {
+    // biomeMap: source of cell biomes and slopes at each mip level (getCellBiome, getCellSlope, getLevelSize)
+    constructor(biomeMap, tileSize) {
+        this.biomeMap = biomeMap;
+        this.tileSize = tileSize;
+
+        // "level,startCx,startCy,season" -> p5.Image, in least-recently-used order
+        this.chunks = new Map();
+    }
+
+    // Finest mip level whose cells cover at least a screen pixel
+    getLevelForZoom(zoom) {
+        const level = Math.ceil(Math.log2(1 / (this.tileSize * zoom)));
+        return Math.max(0, Math.min(this.biomeMap.levels.length - 1, level));
+    }
+
+    // Chunks are keyed by their first (wrapped) cell, since the world width isn't a whole number of chunks
+    getChunk(p, level, startCx, startCy, season) {
+        const key = `${level},${startCx},${startCy},${season}`;
+        let image = this.chunks.get(key);
+        if (image) {
+            // Refresh recency
+            this.chunks.delete(key);
+        } else {
+            image = this.buildChunk(p, level, startCx, startCy, season);
+            if (this.chunks.size >= MAX_CACHED_CHUNKS) {
+                this.chunks.delete(this.chunks.keys().next().value);
+            }
+        }
+        this.chunks.set(key, image);
+        return image;
+    }
+
+    buildChunk(p, level, startCx, startCy, season) {
+        const { cellsX, cellsY } = this.biomeMap.getLevelSize(level);
+        const image = p.createImage(CHUNK_CELLS, CHUNK_CELLS);
+        image.loadPixels();
+
+        for (let y = 0; y < CHUNK_CELLS; y++) {
+            const cy = (startCy + y) % cellsY;
+            for (let x = 0; x < CHUNK_CELLS; x++) {
+                const cx = (startCx + x) % cellsX;
+                const biome = this.biomeMap.getCellBiome(level, cx, cy);
+                const color = biome.colors[season] || biome.colors.spring;
+
+                // Add subtle noise variation to break up flat areas
+                let variation = ((cx * 7 + cy * 13) % 10) - 5;
+
+                // Water lies level; land is shaded by which way it faces
+                if (!biome.isWater) {
+                    const slope = this.biomeMap.getCellSlope(level, cx, cy);
+                    const facing = -(slope.x * LIGHT_X + slope.y * LIGHT_Y);
+                    variation += Math.max(-MAX_SLOPE_SHADE, Math.min(MAX_SLOPE_SHADE, facing * SLOPE_SHADE));
+                }
+
+                const i = (y * CHUNK_CELLS + x) * 4;
+                image.pixels[i] = color[0] + variation;
+                image.pixels[i + 1] = color[1] + variation;
+                image.pixels[i + 2] = color[2] + variation;
+                image.pixels[i + 3] = 255;
+            }
+        }
+
+        image.updatePixels();
+        return image;
+    }
+
+    // Draw every chunk overlapping bounds (world coordinates, may extend past the edges)
+    // zoom: camera zoom, used to pick the mip level
+    // The season blend cross-fades the next season's chunks over the current ones
+    // warp: optional { x, y, strength, radius } gravity distortion around the player
+    draw(p, bounds, zoom, currentSeason, nextSeason = null, seasonBlend = 0, warp = null) {
+        const level = this.getLevelForZoom(zoom);
+        const { cellsX, cellsY, cellTiles } = this.biomeMap.getLevelSize(level);
+        const chunkSize = CHUNK_CELLS * cellTiles * this.tileSize; // World units per chunk side
+
+        const startCx = Math.floor(bounds.left / chunkSize) - 1;
+        const endCx = Math.floor(bounds.right / chunkSize) + 1;
+        const startCy = Math.floor(bounds.top / chunkSize) - 1;
+        const endCy = Math.floor(bounds.bottom / chunkSize) + 1;
+
+        const context = p.drawingContext;
+        context.imageSmoothingEnabled = false;
+
+        for (let cy = startCy; cy <= endCy; cy++) {
+            for (let cx = startCx; cx <= endCx; cx++) {
+                const startCellX = (((cx * CHUNK_CELLS) % cellsX) + cellsX) % cellsX;
+                const startCellY = (((cy * CHUNK_CELLS) % cellsY) + cellsY) % cellsY;
+                const worldX = cx * chunkSize;
+                const worldY = cy * chunkSize;
+                const isWarped = warp && this.chunkTouchesWarp(worldX, worldY, chunkSize, warp);
+
+                const layers = [[currentSeason, 1]];
+                if (nextSeason && seasonBlend > 0) {
+                    layers.push([nextSeason, seasonBlend]);
+                }
+
+                for (const [season, alpha] of layers) {
+                    const image = this.getChunk(p, level, startCellX, startCellY, season);
+                    context.globalAlpha = alpha;
+                    if (isWarped) {
+                        this.drawWarpedChunk(p, image, worldX, worldY, chunkSize, warp);
+                    } else {
+                        // One world unit of overlap hides seams between neighbouring chunks
+                        p.image(image, worldX, worldY, chunkSize + 1, chunkSize + 1);
+                    }
+                }
+            }
+        }
+
+        context.globalAlpha = 1;
+    }
+
+    chunkTouchesWarp(worldX, worldY, chunkSize, warp) {
+        const nearestX = Math.max(worldX, Math.min(warp.x, worldX + chunkSize));
+        const nearestY = Math.max(worldY, Math.min(warp.y, worldY + chunkSize));
+        const dx = warp.x - nearestX;
+        const dy = warp.y - nearestY;
+        return dx * dx + dy * dy < warp.radius * warp.radius;
+    }
+
+    // Mesh warp: displace a coarse grid of corners and stretch each piece of the chunk between them
+    drawWarpedChunk(p, image, worldX, worldY, chunkSize, warp) {
+        const cellWorld = chunkSize / MESH_CELLS;
+        const cellPixels = CHUNK_CELLS / MESH_CELLS;
+
+        const corners = [];
+        for (let j = 0; j <= MESH_CELLS; j++) {
+            const row = [];
+            for (let i = 0; i <= MESH_CELLS; i++) {
+                row.push(warpPoint(worldX + i * cellWorld, worldY + j * cellWorld, warp));
+            }
+            corners.push(row);
+        }
+
+        for (let j = 0; j < MESH_CELLS; j++) {
+            for (let i = 0; i < MESH_CELLS; i++) {
+                const [x0, y0] = corners[j][i];
+                const [x1, y1] = corners[j + 1][i + 1];
+                p.image(
+                    image,
+                    x0, y0, x1 - x0 + 1, y1 - y0 + 1,
+                    i * cellPixels, j * cellPixels, cellPixels, cellPixels
+                );
+            }
+        }
+    }
+}
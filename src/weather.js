@@ -0,0 +1,185 @@
+// Weather events that run on the season clock
+// Each season plans its own events from a stream derived from the run seed and the season number,
+// so a run always gets the same weather no matter how it's played
+// Headless like the simulation: particles live in screen space and renderers draw them over the camera view
+
+import { SeededRandom, deriveSeed } from "./noise.js";
+
+// Weather types ("clear" between events)
+export const WEATHER = {
+    CLEAR: "clear",
+    RAIN: "rain",
+    HEAT: "heat",
+    WIND: "wind",
+    SNOW: "snow",
+    FOG: "fog",
+};
+
+// Events each season can roll, with relative odds
+const SEASON_WEATHER = {
+    spring: [{ type: WEATHER.RAIN, weight: 3 }, { type: WEATHER.WIND, weight: 1 }],
+    summer: [{ type: WEATHER.HEAT, weight: 3 }, { type: WEATHER.RAIN, weight: 1 }],
+    fall: [{ type: WEATHER.WIND, weight: 3 }, { type: WEATHER.RAIN, weight: 2 }, { type: WEATHER.FOG, weight: 1 }],
+    winter: [{ type: WEATHER.SNOW, weight: 3 }, { type: WEATHER.FOG, weight: 2 }],
+};
+
+// Events per season, and their length and fade in/out as fractions of the season
+const EVENTS_PER_SEASON = [1, 2];
+const EVENT_LENGTH = [0.25, 0.45];
+const EVENT_FADE = 0.05;
+
+// Wind blows from one direction per event, in gusts
+const GUST_SPEED = 0.03; // Radians of gust cycle per frame
+const GUST_CALM = 0.3; // Share of the wind left between gusts
+
+// Fog: how much of the screen stays visible around the ball at full strength (1 = clear)
+const FOG_VISIBILITY = 0.35;
+
+// Screen-space particles per weather type at full strength
+// speed: [min, max] pixels per frame; rain and snow fall, wind streaks fly along the wind
+const PARTICLES = {
+    [WEATHER.RAIN]: { count: 120, speed: [5, 8] },
+    [WEATHER.SNOW]: { count: 90, speed: [0.5, 1.3] },
+    [WEATHER.WIND]: { count: 24, speed: [6, 10] },
+};
+const WIND_PARTICLE_DRIFT = 3; // Sideways pixels per frame that full wind adds to falling rain and snow
+
+export class Weather {
+    constructor(seed, screenWidth, screenHeight) {
+        this.seed = seed;
+        this.screenWidth = screenWidth;
+        this.screenHeight = screenHeight;
+
+        this.seasonIndex = -1; // Season the current plan belongs to
+        this.events = []; // { type, start, end, angle } with start/end as season progress
+        this.type = WEATHER.CLEAR;
+        this.intensity = 0; // 0-1, fading in and out at the ends of an event
+        this.wind = { x: 0, y: 0 }; // Current wind, 1 = a full gust
+        this.particles = []; // { x, y, vx, vy, size } in screen pixels
+
+        // Cosmetic stream for particle placement, separate from the event plans
+        this.particleRng = new SeededRandom(deriveSeed(seed, "weather-particles"));
+        this.frame = 0;
+    }
+
+    // Lay out a season's events, spread over the season without overlapping
+    planSeason(seasonIndex, season) {
+        const rng = new SeededRandom(deriveSeed(this.seed, `weather-${seasonIndex}`));
+        const choices = SEASON_WEATHER[season] || [];
+        const count = rng.int(EVENTS_PER_SEASON[0], EVENTS_PER_SEASON[1]);
+
+        this.seasonIndex = seasonIndex;
+        this.events = [];
+        if (choices.length === 0) return;
+
+        // Each event gets its own slot of the season
+        const slot = 1 / count;
+        for (let i = 0; i < count; i++) {
+            const length = Math.min(slot, rng.range(EVENT_LENGTH[0], EVENT_LENGTH[1]));
+            const start = i * slot + rng.next() * (slot - length);
+            this.events.push({
+                type: pickWeighted(choices, rng),
+                start,
+                end: start + length,
+                angle: rng.next() * Math.PI * 2, // Wind direction
+            });
+        }
+    }
+
+    // Advance one frame
+    // progress: 0-1 through the season (getSeasonProgress); scrollX/scrollY: camera movement in screen pixels
+    update(seasonIndex, season, progress, scrollX = 0, scrollY = 0) {
+        if (seasonIndex !== this.seasonIndex) {
+            this.planSeason(seasonIndex, season);
+        }
+        this.frame++;
+
+        const event = this.events.find(e => progress >= e.start && progress < e.end);
+        const previousType = this.type;
+        if (event) {
+            this.type = event.type;
+            const fade = Math.min(progress - event.start, event.end - progress) / EVENT_FADE;
+            this.intensity = Math.min(1, fade);
+        } else {
+            this.type = WEATHER.CLEAR;
+            this.intensity = 0;
+        }
+
+        if (this.type === WEATHER.WIND) {
+            const gust = Math.max(0, Math.sin(this.frame * GUST_SPEED));
+            const strength = this.intensity * (GUST_CALM + (1 - GUST_CALM) * gust * gust);
+            this.wind = { x: Math.cos(event.angle) * strength, y: Math.sin(event.angle) * strength };
+        } else {
+            this.wind = { x: 0, y: 0 };
+        }
+
+        if (this.type !== previousType) {
+            this.spawnParticles();
+        }
+        this.updateParticles(scrollX, scrollY);
+    }
+
+    // Share of the screen that's visible through fog (1 = clear)
+    getVisibility() {
+        if (this.type !== WEATHER.FOG) return 1;
+        return 1 - (1 - FOG_VISIBILITY) * this.intensity;
+    }
+
+    // Particles the renderer should draw this frame (thinned out while the event fades)
+    getVisibleParticles() {
+        return this.particles.slice(0, Math.round(this.particles.length * this.intensity));
+    }
+
+    // Fill the screen with a fresh set of particles for the current weather type
+    spawnParticles() {
+        this.particles = [];
+        const style = PARTICLES[this.type];
+        if (!style) return;
+
+        const rng = this.particleRng;
+        for (let i = 0; i < style.count; i++) {
+            const speed = rng.range(style.speed[0], style.speed[1]);
+            this.particles.push({
+                x: rng.next() * this.screenWidth,
+                y: rng.next() * this.screenHeight,
+                speed,
+                vx: 0,
+                vy: speed,
+                size: rng.range(1, 2.5),
+            });
+        }
+    }
+
+    updateParticles(scrollX, scrollY) {
+        const { x: windX, y: windY } = this.wind;
+
+        for (const part of this.particles) {
+            if (this.type === WEATHER.WIND) {
+                // Streaks fly along the wind at their own speed in a full gust, slowing between gusts
+                part.vx = windX * part.speed;
+                part.vy = windY * part.speed;
+            } else {
+                part.vx = windX * WIND_PARTICLE_DRIFT;
+                part.vy = part.speed;
+            }
+
+            // Particles hang in the world, so they slide the other way as the camera moves
+            part.x = wrap(part.x + part.vx - scrollX, this.screenWidth);
+            part.y = wrap(part.y + part.vy - scrollY, this.screenHeight);
+        }
+    }
+}
+
+function pickWeighted(choices, rng) {
+    const total = choices.reduce((sum, choice) => sum + choice.weight, 0);
+    let roll = rng.next() * total;
+    for (const choice of choices) {
+        roll -= choice.weight;
+        if (roll < 0) return choice.type;
+    }
+    return choices[choices.length - 1].type;
+}
+
+function wrap(value, size) {
+    return ((value % size) + size) % size;
+}
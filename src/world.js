@@ -1,73 +1,155 @@
 // Procedural world generation with noise-based biomes
 
 import { SimplexNoise, SeededRandom, createNoiseGenerators } from "./noise.js";
+import { TerrainCache } from "./terrainCache.js";
+import { Hydrology, WATER_RIVER, WATER_LAKE } from "./hydrology.js";
+import { RoadNetwork } from "./roads.js";
+import { DEFAULT_WORLD_CONFIG } from "./worldConfig.js";
 import {
     BIOMES,
-    WORLD_WIDTH,
-    WORLD_HEIGHT,
-    WORLD_CENTER_X,
-    WORLD_CENTER_Y,
-    ISLAND_RADIUS_X,
-    ISLAND_RADIUS_Y,
     getZoneInfluence,
     getZoneStrength,
     selectBiome,
     getDistanceFromCenter,
+    getTerrainType,
 } from "./biomes.js";
 
-// Re-export world dimensions
-export { WORLD_WIDTH, WORLD_HEIGHT, WORLD_CENTER_X, WORLD_CENTER_Y, ISLAND_RADIUS_X, ISLAND_RADIUS_Y };
-
 // Tile size for biome map (smaller = more detail, larger = better performance)
 export const TILE_SIZE = 32;
 
-// Number of tiles in each dimension
-const TILES_X = Math.ceil(WORLD_WIDTH / TILE_SIZE);
-const TILES_Y = Math.ceil(WORLD_HEIGHT / TILE_SIZE);
+// Biome grid chunks: BIOME_CHUNK_CELLS x BIOME_CHUNK_CELLS cells, generated the first time they're read
+const BIOME_CHUNK_CELLS = 32;
+
+// Coarse mip levels: a level-L cell covers 2^L x 2^L tiles and point-samples its middle tile
+export const MAX_MIP_LEVEL = 4;
 
 // Default world seed
 const DEFAULT_SEED = 42;
 
+// Biomes stored as small integer IDs in the chunk arrays
+const BIOME_LIST = Object.values(BIOMES);
+const BIOME_INDEX = new Map(BIOME_LIST.map((biome, index) => [biome, index]));
+
 export class BiomeMap {
-    constructor(seed = DEFAULT_SEED) {
+    // config: world size and island shape (see worldConfig.js)
+    constructor(seed = DEFAULT_SEED, config = DEFAULT_WORLD_CONFIG) {
         this.seed = seed;
+        this.config = config;
+        this.width = config.width;
+        this.height = config.height;
+
+        // Number of tiles in each dimension
+        this.tilesX = Math.ceil(config.width / TILE_SIZE);
+        this.tilesY = Math.ceil(config.height / TILE_SIZE);
+
         this.rng = new SeededRandom(seed);
         this.noise = createNoiseGenerators(seed);
 
-        // Pre-compute biome grid for performance
-        this.biomeGrid = this.generateBiomeGrid();
+        // Rivers and lakes are traced over the whole world up front, since they run across chunks
+        this.hydrology = new Hydrology(seed, this.tilesX, this.tilesY, TILE_SIZE, (x, y) => ({
+            elevation: this.sampleElevation(x, y),
+            terrain: getTerrainType(getDistanceFromCenter(x, y, this.config), this.getCoastlineNoise(x, y), this.config),
+        }));
+
+        // Roads between villages, routed around the water
+        this.roads = new RoadNetwork(
+            this.width, this.height, this.tilesX, this.tilesY, TILE_SIZE, MAX_MIP_LEVEL,
+            (x, y) => this.sampleGroundBiome(x, y)
+        );
+
+        // One lazily filled chunk store per mip level (level 0 = full tile resolution)
+        this.levels = [];
+        for (let level = 0; level <= MAX_MIP_LEVEL; level++) {
+            const cellTiles = 2 ** level;
+            this.levels.push({
+                cellTiles,
+                cellsX: Math.ceil(this.tilesX / cellTiles),
+                cellsY: Math.ceil(this.tilesY / cellTiles),
+                chunks: new Map(), // chunk index -> Uint8Array of biome IDs
+            });
+        }
     }
 
-    generateBiomeGrid() {
-        const grid = [];
+    // Biome of a cell at a mip level (cell indices wrap)
+    getCellBiome(level, cx, cy) {
+        const store = this.levels[level];
+        const wrappedCx = ((cx % store.cellsX) + store.cellsX) % store.cellsX;
+        const wrappedCy = ((cy % store.cellsY) + store.cellsY) % store.cellsY;
+
+        const chunkX = Math.floor(wrappedCx / BIOME_CHUNK_CELLS);
+        const chunkY = Math.floor(wrappedCy / BIOME_CHUNK_CELLS);
+        const chunkIndex = chunkY * Math.ceil(store.cellsX / BIOME_CHUNK_CELLS) + chunkX;
 
-        for (let ty = 0; ty < TILES_Y; ty++) {
-            const row = [];
-            for (let tx = 0; tx < TILES_X; tx++) {
-                // Sample noise at tile center
-                const worldX = (tx + 0.5) * TILE_SIZE;
-                const worldY = (ty + 0.5) * TILE_SIZE;
+        let chunk = store.chunks.get(chunkIndex);
+        if (!chunk) {
+            chunk = this.generateChunk(level, chunkX, chunkY);
+            store.chunks.set(chunkIndex, chunk);
+        }
+
+        const localX = wrappedCx - chunkX * BIOME_CHUNK_CELLS;
+        const localY = wrappedCy - chunkY * BIOME_CHUNK_CELLS;
+        return BIOME_LIST[chunk[localY * BIOME_CHUNK_CELLS + localX]];
+    }
 
-                const biome = this.sampleBiome(worldX, worldY);
-                row.push(biome);
+    generateChunk(level, chunkX, chunkY) {
+        const store = this.levels[level];
+        const chunk = new Uint8Array(BIOME_CHUNK_CELLS * BIOME_CHUNK_CELLS);
+
+        for (let y = 0; y < BIOME_CHUNK_CELLS; y++) {
+            const cy = chunkY * BIOME_CHUNK_CELLS + y;
+            if (cy >= store.cellsY) break;
+            for (let x = 0; x < BIOME_CHUNK_CELLS; x++) {
+                const cx = chunkX * BIOME_CHUNK_CELLS + x;
+                if (cx >= store.cellsX) break;
+
+                // Coarse cells show any road running through them, so roads don't break up when zoomed out
+                if (level > 0 && this.roads.isRoadInCell(level, cx, cy)) {
+                    chunk[y * BIOME_CHUNK_CELLS + x] = BIOME_INDEX.get(BIOMES.road);
+                    continue;
+                }
+
+                // Middle tile of the cell (clamped for the partial cells at the world edge)
+                const tx = Math.min(this.tilesX - 1, cx * store.cellTiles + (store.cellTiles >> 1));
+                const ty = Math.min(this.tilesY - 1, cy * store.cellTiles + (store.cellTiles >> 1));
+                chunk[y * BIOME_CHUNK_CELLS + x] = BIOME_INDEX.get(this.sampleTileBiome(tx, ty));
             }
-            grid.push(row);
         }
 
-        return grid;
+        return chunk;
+    }
+
+    // Sample noise at tile center
+    sampleTileBiome(tx, ty) {
+        return this.sampleBiome((tx + 0.5) * TILE_SIZE, (ty + 0.5) * TILE_SIZE);
+    }
+
+    // Number of cells across the world at a mip level
+    getLevelSize(level) {
+        const store = this.levels[level];
+        return { cellsX: store.cellsX, cellsY: store.cellsY, cellTiles: store.cellTiles };
     }
 
     sampleBiome(x, y) {
+        const biome = this.sampleGroundBiome(x, y);
+
+        // Roads run over the land and bridge rivers
+        if (biome.isOcean || biome === BIOMES.lake) return biome;
+        const tx = Math.min(this.tilesX - 1, Math.floor(x / TILE_SIZE));
+        const ty = Math.min(this.tilesY - 1, Math.floor(y / TILE_SIZE));
+        return this.roads.isRoadAt(tx, ty) ? BIOMES.road : biome;
+    }
+
+    // Biome from the terrain noise and water, before roads are laid over it
+    sampleGroundBiome(x, y) {
         // Normalize coordinates for noise sampling (relative to world size)
-        const nx = x / WORLD_WIDTH;
-        const ny = y / WORLD_HEIGHT;
+        const nx = x / this.width;
+        const ny = y / this.height;
 
         // Sample coastline noise for organic island shape
         // Use a different scale and seed for variety
         const coastlineNoise = this.noise.coastline.fbm(nx * 3, ny * 3, 3, 0.5, 2, 1);
 
         // Sample different noise layers with varying scales
-        const elevation = this.noise.elevation.fbm(nx * 4, ny * 4, 4, 0.5, 2, 1);
         const moisture = this.noise.moisture.fbm(nx * 3, ny * 3, 3, 0.6, 2, 1);
         const temperature = this.noise.temperature.fbm(nx * 2.5, ny * 2.5, 3, 0.5, 2, 1);
 
@@ -75,39 +157,88 @@ export class BiomeMap {
         // Uses a different noise channel to create independent village placement
         const villageNoise = this.noise.elevation.fbm(nx * 6 + 100, ny * 6 + 100, 2, 0.4, 2, 1);
 
-        // Adjust elevation based on distance from center (higher in middle)
-        const dist = getDistanceFromCenter(x, y);
-        const centerBonus = Math.max(0, 1 - dist) * 0.3;
-        const adjustedElevation = elevation * 0.7 + centerBonus;
+        const adjustedElevation = this.sampleElevation(x, y);
 
         // Get zone influence (now based on angle from center)
-        const zonePref = getZoneInfluence(x, y);
-        const zoneStrength = getZoneStrength(x, y);
+        const zonePref = getZoneInfluence(x, y, this.config);
+        const zoneStrength = getZoneStrength(x, y, this.config);
+
+        const biome = selectBiome(adjustedElevation, moisture, temperature, zonePref, zoneStrength, x, y, coastlineNoise, villageNoise, this.config);
+
+        // Rivers and lakes cut through every land biome, and rivers run out across the beach
+        if (biome.isOcean) return biome;
+        const water = this.hydrology.getWaterAt(
+            Math.min(this.tilesX - 1, Math.floor(x / TILE_SIZE)),
+            Math.min(this.tilesY - 1, Math.floor(y / TILE_SIZE))
+        );
+        if (water === WATER_RIVER) return BIOMES.river;
+        if (water === WATER_LAKE) return BIOMES.lake;
+        return biome;
+    }
+
+    // Elevation noise adjusted by distance from center (higher in the middle of the land)
+    // Also the heightfield rivers are traced down
+    sampleElevation(x, y) {
+        const elevation = this.noise.elevation.fbm(x / this.width * 4, y / this.height * 4, 4, 0.5, 2, 1);
+        const dist = getDistanceFromCenter(x, y, this.config);
+        const centerBonus = Math.max(0, 1 - dist) * 0.3;
+        return elevation * 0.7 + centerBonus;
+    }
+
+    // Elevation gradient at a world position in elevation per tile, measured `spacing` units either side
+    // This is the bare heightfield: callers treat water as level
+    getSlopeAt(x, y, spacing = TILE_SIZE) {
+        const scale = TILE_SIZE / (2 * spacing);
+        return {
+            x: (this.sampleElevation(x + spacing, y) - this.sampleElevation(x - spacing, y)) * scale,
+            y: (this.sampleElevation(x, y + spacing) - this.sampleElevation(x, y - spacing)) * scale,
+        };
+    }
 
-        return selectBiome(adjustedElevation, moisture, temperature, zonePref, zoneStrength, x, y, coastlineNoise, villageNoise);
+    // Slope across a cell at a mip level, for shading
+    getCellSlope(level, cx, cy) {
+        const cellSize = this.levels[level].cellTiles * TILE_SIZE;
+        return this.getSlopeAt((cx + 0.5) * cellSize, (cy + 0.5) * cellSize, cellSize);
     }
 
     // Get coastline noise at a position (for consistent terrain checks)
     getCoastlineNoise(x, y) {
-        const nx = x / WORLD_WIDTH;
-        const ny = y / WORLD_HEIGHT;
+        const nx = x / this.width;
+        const ny = y / this.height;
         return this.noise.coastline.fbm(nx * 3, ny * 3, 3, 0.5, 2, 1);
     }
 
     // Get biome at any world position (with wrapping support)
     getBiomeAt(x, y) {
         // Wrap coordinates
-        const wrappedX = ((x % WORLD_WIDTH) + WORLD_WIDTH) % WORLD_WIDTH;
-        const wrappedY = ((y % WORLD_HEIGHT) + WORLD_HEIGHT) % WORLD_HEIGHT;
+        const wrappedX = ((x % this.width) + this.width) % this.width;
+        const wrappedY = ((y % this.height) + this.height) % this.height;
 
         const tx = Math.floor(wrappedX / TILE_SIZE);
         const ty = Math.floor(wrappedY / TILE_SIZE);
 
         // Clamp to grid bounds (shouldn't be needed with proper wrapping)
-        const clampedTx = Math.max(0, Math.min(TILES_X - 1, tx));
-        const clampedTy = Math.max(0, Math.min(TILES_Y - 1, ty));
+        const clampedTx = Math.max(0, Math.min(this.tilesX - 1, tx));
+        const clampedTy = Math.max(0, Math.min(this.tilesY - 1, ty));
 
-        return this.biomeGrid[clampedTy][clampedTx];
+        return this.getCellBiome(0, clampedTx, clampedTy);
+    }
+
+    // Same as getBiomeAt, but samples the noise directly instead of generating a whole chunk
+    // For scattered one-off lookups (spawn points across the island) that shouldn't fill the grid
+    peekBiomeAt(x, y) {
+        const wrappedX = ((x % this.width) + this.width) % this.width;
+        const wrappedY = ((y % this.height) + this.height) % this.height;
+        const tx = Math.min(this.tilesX - 1, Math.floor(wrappedX / TILE_SIZE));
+        const ty = Math.min(this.tilesY - 1, Math.floor(wrappedY / TILE_SIZE));
+
+        const store = this.levels[0];
+        const chunkIndex = Math.floor(ty / BIOME_CHUNK_CELLS) * Math.ceil(store.cellsX / BIOME_CHUNK_CELLS) +
+            Math.floor(tx / BIOME_CHUNK_CELLS);
+        if (store.chunks.has(chunkIndex)) {
+            return this.getCellBiome(0, tx, ty);
+        }
+        return this.sampleTileBiome(tx, ty);
     }
 
     // Get terrain color at position for a given season
@@ -118,9 +249,13 @@ export class BiomeMap {
 }
 
 export class World {
-    constructor(seed = DEFAULT_SEED) {
+    // config: world size and island shape (see worldConfig.js)
+    constructor(seed = DEFAULT_SEED, config = DEFAULT_WORLD_CONFIG) {
         this.seed = seed;
-        this.biomeMap = new BiomeMap(seed);
+        this.config = config;
+        this.width = config.width;
+        this.height = config.height;
+        this.biomeMap = new BiomeMap(seed, config);
         this.rng = new SeededRandom(seed);
     }
 
@@ -128,19 +263,39 @@ export class World {
         return this.biomeMap.getBiomeAt(x, y);
     }
 
+    peekBiomeAt(x, y) {
+        return this.biomeMap.peekBiomeAt(x, y);
+    }
+
+    // Downhill is against the slope (elevation per tile, see BiomeMap.getSlopeAt)
+    getSlopeAt(x, y) {
+        const wrapped = this.wrapCoordinates(x, y);
+        return this.biomeMap.getSlopeAt(wrapped.x, wrapped.y);
+    }
+
+    // Closest road within maxDistance as { road, along }, or null (see RoadNetwork)
+    getNearestRoad(x, y, maxDistance) {
+        return this.biomeMap.roads.getNearestRoad(x, y, maxDistance);
+    }
+
+    // Position and direction at a distance along a road, or null past its ends
+    getPointAlongRoad(road, along) {
+        return this.biomeMap.roads.getPointAlong(road, along);
+    }
+
     // Wrap coordinates to stay within world bounds
     wrapCoordinates(x, y) {
         return {
-            x: ((x % WORLD_WIDTH) + WORLD_WIDTH) % WORLD_WIDTH,
-            y: ((y % WORLD_HEIGHT) + WORLD_HEIGHT) % WORLD_HEIGHT
+            x: ((x % this.width) + this.width) % this.width,
+            y: ((y % this.height) + this.height) % this.height
         };
     }
 
-    // Get the starting position (find meadow near center of island)
+    // Get the starting position (find meadow near the middle of the land)
     getStartPosition() {
-        // Start near center of world (which is center of island)
-        const centerX = WORLD_CENTER_X;
-        const centerY = WORLD_CENTER_Y;
+        // The island center for a plain island; shaped worlds pick a point on the land
+        const centerX = this.config.homeX;
+        const centerY = this.config.homeY;
 
         // Search in expanding circles for a meadow tile
         for (let radius = 0; radius < 500; radius += TILE_SIZE) {
@@ -163,20 +318,14 @@ export class World {
     // seasonBlend: 0-1 value for transitioning between seasons (0 = current, 1 = next)
     // player: optional player object for gravity distortion effect
     draw(p, camera, currentSeason, nextSeason = null, seasonBlend = 0, player = null) {
-        const bounds = camera.getVisibleBounds();
-
-        // Calculate visible tile range (extended for wrapping)
-        const startTx = Math.floor(bounds.left / TILE_SIZE) - 1;
-        const endTx = Math.ceil(bounds.right / TILE_SIZE) + 1;
-        const startTy = Math.floor(bounds.top / TILE_SIZE) - 1;
-        const endTy = Math.ceil(bounds.bottom / TILE_SIZE) + 1;
+        // Chunk images are built on first draw, so headless worlds never touch p5
+        if (!this.terrainCache) {
+            this.terrainCache = new TerrainCache(this.biomeMap, TILE_SIZE);
+        }
 
         // Calculate gravity distortion parameters based on player size
         // Localized effect near the player - terrain bends toward the ball
-        let distortionStrength = 0;
-        let distortionRadius = 0;
-        let playerWorldX = 0;
-        let playerWorldY = 0;
+        let warp = null;
 
         if (player && player.size > 80) {
             // Distortion starts at size 80, grows steeply toward late game
@@ -187,91 +336,22 @@ export class World {
             // At size 500+: strong visual warping (good end-game state)
             // At size 1000+: dramatic sphere-like pull
             const sizeAbove80 = player.size - 80;
-            // Strength grows with steep curve - stays subtle until mid-late game
-            distortionStrength = Math.pow(sizeAbove80 / 400, 2.0) * 0.08;
             // Radius scales with player size but stays tight
             // ~1.5x player size early, grows to ~3x at large sizes
             const radiusScale = 1.5 + Math.min(1.5, sizeAbove80 / 12000);
-            distortionRadius = player.size * radiusScale;
 
             // Get player position (handle camera wrapping)
             const wrappedPlayer = camera.getWrappedPosition(player.x, player.y);
-            playerWorldX = wrappedPlayer.x;
-            playerWorldY = wrappedPlayer.y;
+            warp = {
+                x: wrappedPlayer.x,
+                y: wrappedPlayer.y,
+                // Strength grows with steep curve - stays subtle until mid-late game
+                strength: Math.pow(sizeAbove80 / 400, 2.0) * 0.08,
+                radius: player.size * radiusScale,
+            };
         }
 
-        p.noStroke();
-
-        // Draw tiles (with wrapping and spherical gravity distortion)
-        for (let ty = startTy; ty <= endTy; ty++) {
-            for (let tx = startTx; tx <= endTx; tx++) {
-                // Wrap tile indices
-                const wrappedTx = ((tx % TILES_X) + TILES_X) % TILES_X;
-                const wrappedTy = ((ty % TILES_Y) + TILES_Y) % TILES_Y;
-
-                let worldX = tx * TILE_SIZE;
-                let worldY = ty * TILE_SIZE;
-
-                // Apply spherical gravity distortion - fisheye lens effect toward player
-                if (distortionStrength > 0) {
-                    const tileCenterX = worldX + TILE_SIZE / 2;
-                    const tileCenterY = worldY + TILE_SIZE / 2;
-
-                    const dx = playerWorldX - tileCenterX;
-                    const dy = playerWorldY - tileCenterY;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-
-                    if (dist > 0 && dist < distortionRadius) {
-                        // Spherical distortion using fisheye-style mapping
-                        // Points closer to center get pulled more dramatically
-                        const normalizedDist = dist / distortionRadius;
-
-                        // Spherical falloff - creates a dome-like warping effect
-                        // sqrt(1 - x^2) gives a hemisphere profile
-                        const sphereFactor = Math.sqrt(1 - normalizedDist * normalizedDist);
-
-                        // Combine with power falloff for smooth transition at edges
-                        const edgeFalloff = Math.pow(1 - normalizedDist, 1.5);
-                        const pull = distortionStrength * sphereFactor * edgeFalloff * dist;
-
-                        // Normalize direction and apply pull
-                        const nx = dx / dist;
-                        const ny = dy / dist;
-
-                        worldX += nx * pull;
-                        worldY += ny * pull;
-                    }
-                }
-
-                const biome = this.biomeMap.biomeGrid[wrappedTy]?.[wrappedTx];
-                if (!biome) continue;
-
-                const currentColor = biome.colors[currentSeason] || biome.colors.spring;
-
-                // Calculate final color (with optional blending to next season)
-                let finalColor;
-                if (nextSeason && seasonBlend > 0) {
-                    const nextColor = biome.colors[nextSeason] || biome.colors.spring;
-                    finalColor = [
-                        currentColor[0] + (nextColor[0] - currentColor[0]) * seasonBlend,
-                        currentColor[1] + (nextColor[1] - currentColor[1]) * seasonBlend,
-                        currentColor[2] + (nextColor[2] - currentColor[2]) * seasonBlend,
-                    ];
-                } else {
-                    finalColor = currentColor;
-                }
-
-                // Add subtle noise variation to break up flat areas
-                const variation = ((wrappedTx * 7 + wrappedTy * 13) % 10) - 5;
-                p.fill(
-                    finalColor[0] + variation,
-                    finalColor[1] + variation,
-                    finalColor[2] + variation
-                );
-
-                p.rect(worldX, worldY, TILE_SIZE + 1, TILE_SIZE + 1);
-            }
-        }
+        this.terrainCache.draw(p, camera.getVisibleBounds(), camera.zoom, currentSeason, nextSeason, seasonBlend, warp);
     }
 
     // Draw mini-map centered on player with size-based scaling
@@ -287,7 +367,7 @@ export class World {
         // At size 12 (start): show ~400 world units (small area around player)
         // At size 380 (sun): show half the world
         const minViewRadius = 200;  // Radius at smallest player size
-        const maxViewRadius = Math.max(WORLD_WIDTH, WORLD_HEIGHT) / 4;  // Quarter world radius
+        const maxViewRadius = Math.max(this.width, this.height) / 4;  // Quarter world radius
 
         // Scale view radius with player size (logarithmic for smoother progression)
         const sizeRatio = Math.log(player.size / 12 + 1) / Math.log(380 / 12 + 1);
@@ -308,6 +388,11 @@ export class World {
         const tilesInView = viewDiameter / TILE_SIZE;
         const sampleStep = Math.max(1, Math.floor(tilesInView / mapSize) * 2);
 
+        // Read from the coarsest mip level that still has a cell per sample
+        const mipLevel = Math.min(MAX_MIP_LEVEL, Math.floor(Math.log2(sampleStep)));
+        const cellTiles = 2 ** mipLevel;
+        const { tilesX, tilesY } = this.biomeMap;
+
         // Draw biome colors in the visible area
         const startWorldX = wrappedPlayer.x - viewRadius;
         const startWorldY = wrappedPlayer.y - viewRadius;
@@ -327,11 +412,14 @@ export class World {
         for (let ty = startTy; ty <= endTy; ty += sampleStep) {
             for (let tx = startTx; tx <= endTx; tx += sampleStep) {
                 // Wrap tile indices
-                const wrappedTx = ((tx % TILES_X) + TILES_X) % TILES_X;
-                const wrappedTy = ((ty % TILES_Y) + TILES_Y) % TILES_Y;
+                const wrappedTx = ((tx % tilesX) + tilesX) % tilesX;
+                const wrappedTy = ((ty % tilesY) + tilesY) % tilesY;
 
-                const biome = this.biomeMap.biomeGrid[wrappedTy]?.[wrappedTx];
-                if (!biome) continue;
+                const biome = this.biomeMap.getCellBiome(
+                    mipLevel,
+                    Math.floor(wrappedTx / cellTiles),
+                    Math.floor(wrappedTy / cellTiles)
+                );
 
                 const currentColor = biome.colors[currentSeason] || biome.colors.spring;
 
@@ -359,10 +447,10 @@ export class World {
                 // Handle wrapping for display
                 let displayRelX = relX;
                 let displayRelY = relY;
-                if (displayRelX > WORLD_WIDTH / 2) displayRelX -= WORLD_WIDTH;
-                if (displayRelX < -WORLD_WIDTH / 2) displayRelX += WORLD_WIDTH;
-                if (displayRelY > WORLD_HEIGHT / 2) displayRelY -= WORLD_HEIGHT;
-                if (displayRelY < -WORLD_HEIGHT / 2) displayRelY += WORLD_HEIGHT;
+                if (displayRelX > this.width / 2) displayRelX -= this.width;
+                if (displayRelX < -this.width / 2) displayRelX += this.width;
+                if (displayRelY > this.height / 2) displayRelY -= this.height;
+                if (displayRelY < -this.height / 2) displayRelY += this.height;
 
                 const px = mapCenterX + displayRelX * scale;
                 const py = mapCenterY + displayRelY * scale;
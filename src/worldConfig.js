@@ -0,0 +1,170 @@
+// World size and island shape presets
+// A world config is passed to World/BiomeMap and decides how big the torus is and where the land goes
+// Preset values are fractions of the world size; createWorldConfig() resolves them to world units
+
+import { SeededRandom, deriveSeed } from "./noise.js";
+
+// World dimensions are whole multiples of the 336x262 screen
+const SCREEN_WIDTH = 336;
+const SCREEN_HEIGHT = 262;
+
+// Coastline bands in normalized island distance (see getTerrainType in biomes.js)
+// variation: how far coastline noise pushes the shore in or out (±half of this)
+// shallows: outer edge of the shallow water off the shore, which freezes in winter
+const DEFAULT_COAST = { variation: 0.3, land: 0.85, beach: 0.95, shore: 1.05, shallows: 1.1 };
+
+// shape: "island" (one ellipse), "crescent" (ellipse with a bite taken out of one side),
+// "atoll" (a ring of land around a lagoon) or "archipelago" (several separate ellipses with channels between)
+export const WORLD_PRESETS = {
+    small: {
+        name: "Small island",
+        scale: 36,
+        shape: "island",
+        radius: 0.35,
+    },
+    default: {
+        name: "Island",
+        scale: 72,
+        shape: "island",
+        radius: 0.35,
+    },
+    huge: {
+        name: "Huge continent",
+        scale: 120,
+        shape: "island",
+        radius: 0.42,
+        // Longer, more ragged coastline for the big landmass
+        coast: { variation: 0.4, land: 0.88, beach: 0.95, shore: 1.02, shallows: 1.06 },
+    },
+    archipelago: {
+        name: "Archipelago",
+        scale: 96,
+        shape: "archipelago",
+        radius: 0.38,
+        // Islands are placed from the run seed inside the preset radius
+        // count: [min, max] islands, radius: [min, max] island radius, gap: narrowest channel between two islands
+        islands: { count: [5, 7], radius: [0.06, 0.15], gap: 0.025 },
+    },
+    crescent: {
+        name: "Crescent",
+        scale: 72,
+        shape: "crescent",
+        radius: 0.38,
+        // Ocean bite: center offset toward the east and its radius, both in island radii
+        bite: { offset: 0.5, radius: 0.7 },
+    },
+    atoll: {
+        name: "Ring atoll",
+        scale: 84,
+        shape: "atoll",
+        radius: 0.4,
+        // Middle of the ring and its half-thickness, in island radii
+        ring: { radius: 0.72, width: 0.26 },
+        // Narrow sandy rim on both shores; distances are in ring widths, so the shallows reach further out
+        coast: { variation: 0.3, land: 0.8, beach: 0.95, shore: 1.02, shallows: 1.3 },
+    },
+};
+
+export const DEFAULT_WORLD_PRESET = "default";
+
+// Preset ids in settings menu order
+export const WORLD_PRESET_IDS = Object.keys(WORLD_PRESETS);
+
+// Attempts at finding room for one archipelago island before giving up on it
+const ISLAND_PLACEMENT_ATTEMPTS = 40;
+
+// Place archipelago islands from the seed, largest first, as fractions of the world size
+// Islands stay inside the preset radius and keep at least the gap between their shores
+function generateIslands(preset, seed) {
+    const rng = new SeededRandom(deriveSeed(seed, "islands"));
+    const { count, radius, gap } = preset.islands;
+
+    const radii = [];
+    const islandCount = rng.int(count[0], count[1]);
+    for (let i = 0; i < islandCount; i++) {
+        radii.push(rng.range(radius[0], radius[1]));
+    }
+    radii.sort((a, b) => b - a);
+
+    const islands = [];
+    for (const r of radii) {
+        for (let attempt = 0; attempt < ISLAND_PLACEMENT_ATTEMPTS; attempt++) {
+            // Uniform over the area the whole island fits in
+            const angle = rng.next() * Math.PI * 2;
+            const dist = Math.sqrt(rng.next()) * (preset.radius - r);
+            const x = 0.5 + Math.cos(angle) * dist;
+            const y = 0.5 + Math.sin(angle) * dist;
+
+            const fits = islands.every(other => Math.hypot(x - other.x, y - other.y) >= r + other.radius + gap);
+            if (!fits) continue;
+
+            // Each island lays out the zone sectors with its own rotation and handedness
+            islands.push({ x, y, radius: r, zoneOffset: rng.int(0, 7), zoneMirror: rng.next() < 0.5 });
+            break;
+        }
+    }
+
+    return islands;
+}
+
+// Resolve a preset to world units
+// Unknown ids fall back to the default preset
+// seed: run seed, for presets whose layout is generated (archipelago islands)
+export function createWorldConfig(presetId = DEFAULT_WORLD_PRESET, seed = 0) {
+    let preset = WORLD_PRESETS[presetId];
+    if (!preset) {
+        console.warn(`Unknown world preset: ${presetId}`);
+        presetId = DEFAULT_WORLD_PRESET;
+        preset = WORLD_PRESETS[presetId];
+    }
+
+    const width = SCREEN_WIDTH * preset.scale;
+    const height = SCREEN_HEIGHT * preset.scale;
+    const config = {
+        id: presetId,
+        name: preset.name,
+        shape: preset.shape,
+        width,
+        height,
+        centerX: width / 2,
+        centerY: height / 2,
+        radiusX: width * preset.radius,
+        radiusY: height * preset.radius,
+        coast: preset.coast || DEFAULT_COAST,
+    };
+
+    // Where the player starts: the middle of the land, which isn't the world center for every shape
+    config.homeX = config.centerX;
+    config.homeY = config.centerY;
+
+    if (preset.shape === "crescent") {
+        config.bite = {
+            x: config.centerX + config.radiusX * preset.bite.offset,
+            y: config.centerY,
+            radiusX: config.radiusX * preset.bite.radius,
+            radiusY: config.radiusY * preset.bite.radius,
+        };
+        // Halfway between the far shore and the rim of the bite
+        const biteRim = preset.bite.offset - preset.bite.radius;
+        config.homeX = config.centerX + config.radiusX * (biteRim - 1) / 2;
+    } else if (preset.shape === "atoll") {
+        config.ring = { ...preset.ring };
+        config.homeX = config.centerX - config.radiusX * preset.ring.radius;
+    } else if (preset.shape === "archipelago") {
+        config.islands = generateIslands(preset, seed).map(island => ({
+            x: width * island.x,
+            y: height * island.y,
+            radiusX: width * island.radius,
+            radiusY: height * island.radius,
+            zoneOffset: island.zoneOffset,
+            zoneMirror: island.zoneMirror,
+        }));
+        // Start on the largest island, which is placed first and always fits
+        config.homeX = config.islands[0].x;
+        config.homeY = config.islands[0].y;
+    }
+
+    return config;
+}
+
+export const DEFAULT_WORLD_CONFIG = createWorldConfig(DEFAULT_WORLD_PRESET);
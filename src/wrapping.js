@@ -0,0 +1,10 @@
+// Distances on the toroidal world, where each edge wraps around to the opposite one
+
+// Shortest offset from a to b along one axis of a world size units across
+export function wrappedDelta(from, to, size) {
+    let delta = to - from;
+    if (Math.abs(delta) > size / 2) {
+        delta = delta > 0 ? delta - size : delta + size;
+    }
+    return delta;
+}